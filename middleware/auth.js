@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -9,14 +8,15 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.id).select('-password');
+    // Rejects tokens whose session was revoked or has expired
+    const result = await verifyAccessToken(token);
 
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.authSession = result.session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -24,4 +24,3 @@ const auth = async (req, res, next) => {
 };
 
 module.exports = auth;
-
@@ -0,0 +1,25 @@
+const { hasPermission, requiresTwoFactor } = require('../utils/permissions');
+
+// Require every listed permission, e.g. authorize('users:manage').
+// Must run after the auth middleware.
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+
+  if (permissions.some(requiresTwoFactor) && !req.user.twoFactor?.enabled) {
+    return res.status(403).json({
+      message: 'Enable two-factor authentication to use this feature',
+      code: 'TWO_FACTOR_REQUIRED',
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
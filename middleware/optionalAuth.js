@@ -0,0 +1,21 @@
+const { verifyAccessToken } = require('../utils/sessions');
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const result = await verifyAccessToken(token);
+      if (result) {
+        req.user = result.user;
+        req.authSession = result.session;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,13 @@
+// Restrict a route to users who have confirmed their email address.
+// Must run after the auth middleware.
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address to use this feature',
+      code: 'EMAIL_NOT_VERIFIED',
+    });
+  }
+  next();
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/linkedin-clone';
+
+// Accounts created before email verification existed have no emailVerified
+// field at all. They signed up under the old rules, so mark them verified
+// rather than locking them out of posting, connecting and messaging.
+// Safe to run more than once: accounts that have the field are left alone.
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB for migration');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing account(s) as verified`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
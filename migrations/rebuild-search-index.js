@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/linkedin-clone';
+
+async function dropIndexIfExists(name) {
+  try {
+    await User.collection.dropIndex(name);
+    console.log(`Dropped index ${name}`);
+  } catch (error) {
+    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+      throw error;
+    }
+  }
+}
+
+// The people search text index used to cover experience and education
+// directly, which matched sections their owners had hidden. It now covers the
+// searchable copies, which only hold public sections, and the skills and
+// location filters match lowercased copies. This fills those copies for
+// existing accounts, replaces the old text index and drops the old filter indexes.
+// Safe to run more than once.
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB for migration');
+
+  let updated = 0;
+  const cursor = User.find().select('experience education privacy skills location').lean().cursor();
+  for await (const user of cursor) {
+    await User.updateOne({ _id: user._id }, { $set: { searchable: User.getSearchFields(user) } });
+    updated += 1;
+  }
+  console.log(`Refreshed search fields for ${updated} account(s)`);
+
+  for (const name of ['user_text_search', 'skills_1', 'location_1']) {
+    await dropIndexIfExists(name);
+  }
+  await User.createIndexes();
+  console.log('Created the new search indexes');
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Migration error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['password_reset', 'email_verification', 'account_unlock'];
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true,
+  },
+  // Only the SHA-256 hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+
+// Expired tokens are removed automatically by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token for the given purpose, invalidating any earlier unused ones.
+// Returns the raw token, which is never persisted.
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used. Returns the token document, or null if the
+// token is unknown, expired, already used or issued for another purpose.
+authTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -21,8 +21,19 @@ const conversationSchema = new mongoose.Schema({
 // Ensure participants array has exactly 2 users and is unique
 conversationSchema.index({ participants: 1 }, { unique: true });
 
-// Helper method to find or create conversation
+// Helper method to find or create conversation.
+// Returns null if either user has blocked the other.
 conversationSchema.statics.findOrCreate = async function(userId1, userId2) {
+  const blocked = await mongoose.model('User').exists({
+    $or: [
+      { _id: userId1, blockedUsers: userId2 },
+      { _id: userId2, blockedUsers: userId1 },
+    ],
+  });
+  if (blocked) {
+    return null;
+  }
+
   const participants = [userId1, userId2].sort();
   
   let conversation = await this.findOne({ participants });
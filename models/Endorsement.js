@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const endorsementSchema = new mongoose.Schema({
+  // Owner of the profile the skill belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  skill: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Case-insensitive key so "react" and "React" count as the same skill
+  skillKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  endorser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// One endorsement per endorser per skill
+endorsementSchema.index({ user: 1, skillKey: 1, endorser: 1 }, { unique: true });
+endorsementSchema.index({ endorser: 1 });
+
+endorsementSchema.statics.toSkillKey = (skill) => String(skill).trim().toLowerCase();
+
+module.exports = mongoose.model('Endorsement', endorsementSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A handle a user gave up. It keeps pointing at them, and cannot be claimed
+// by anyone else, until expiresAt.
+const handleRedirectSchema = new mongoose.Schema({
+  handle: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Case-insensitive key, matched against User.handleKey
+  handleKey: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+handleRedirectSchema.index({ user: 1 });
+
+// Expired redirects are removed automatically by MongoDB
+handleRedirectSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('HandleRedirect', handleRedirectSchema);
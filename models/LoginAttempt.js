@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Number of lockouts so far; each one lasts longer than the last
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Records are removed automatically once they have been quiet long enough
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { extractHashtags } = require('../utils/hashtags');
+
+const REACTION_TYPES = ['like', 'love', 'laugh', 'cry', 'wow', 'angry'];
+
+// One list of reacting users per reaction type, shared by posts and comments
+const reactionLists = () => Object.fromEntries(REACTION_TYPES.map(type => [type, [{
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'User',
+}]]));
 
 const commentSchema = new mongoose.Schema({
   user: {
@@ -11,6 +20,22 @@ const commentSchema = new mongoose.Schema({
     required: true,
     maxlength: 1000,
   },
+  // Users @mentioned in text
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // The comment this one replies to, on the same post; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  reactions: reactionLists(),
+  edited: {
+    type: Boolean,
+    default: false,
+  },
+  editedAt: Date,
 }, {
   timestamps: true,
 });
@@ -34,39 +59,40 @@ const postSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   }],
-  reactions: {
-    like: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-    love: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-    laugh: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-    cry: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-    wow: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-    angry: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    }],
-  },
+  reactions: reactionLists(),
   comments: [commentSchema],
+  // Users @mentioned in text
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Normalized hashtags parsed from text
+  hashtags: [{
+    type: String,
+  }],
 }, {
   timestamps: true,
 });
 
-// Index for sorting by creation date
-postSchema.index({ createdAt: -1 });
+// Feed pagination walks (createdAt, _id) newest first, overall and per author
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Hashtag pages and trending counts
+postSchema.index({ hashtags: 1, createdAt: -1, _id: -1 });
+
+// Finding a user's mentions
+postSchema.index({ mentions: 1 });
+
+// Keep hashtags in sync with the text
+postSchema.pre('save', function(next) {
+  if (this.isModified('text')) {
+    this.hashtags = extractHashtags(this.text);
+  }
+  next();
+});
+
+postSchema.statics.REACTION_TYPES = REACTION_TYPES;
 
 module.exports = mongoose.model('Post', postSchema);
 
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One document per viewer per profile per day; repeat views that day only
+// bump viewCount and lastViewedAt.
+const profileViewSchema = new mongoose.Schema({
+  // Owner of the profile that was viewed
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // UTC calendar day of the view, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true,
+  },
+  // The viewer was browsing anonymously; their identity is never shown
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+  viewCount: {
+    type: Number,
+    default: 1,
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+profileViewSchema.index({ profile: 1, viewer: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ profile: 1, createdAt: -1 });
+profileViewSchema.index({ viewer: 1 });
+
+// Old views are removed automatically by MongoDB
+profileViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProfileView', profileViewSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Lifecycle: requested -> submitted -> approved | hidden | revision_requested
+// (revision_requested goes back to submitted). The author can decline a request.
+const STATUSES = ['requested', 'declined', 'submitted', 'revision_requested', 'approved', 'hidden'];
+
+const recommendationSchema = new mongoose.Schema({
+  // User the recommendation is about (who asked for it)
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Connection who writes it
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // _id of the entry in recipient.experience this recommendation is for
+  experience: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  requestMessage: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  relationship: {
+    type: String,
+    default: '',
+    maxlength: 200,
+  },
+  text: {
+    type: String,
+    default: '',
+    maxlength: 3000,
+  },
+  revisionNote: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'requested',
+  },
+  submittedAt: {
+    type: Date,
+  },
+  approvedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+recommendationSchema.index({ recipient: 1, status: 1 });
+recommendationSchema.index({ author: 1, status: 1 });
+
+recommendationSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
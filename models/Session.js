@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Only SHA-256 hashes of refresh tokens are stored, never the tokens themselves
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed automatically by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A session is usable while it is neither revoked nor expired
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
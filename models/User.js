@@ -1,5 +1,56 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
+const { VISIBILITY_LEVELS, PRIVACY_DEFAULTS, PRIVACY_FIELDS } = require('../utils/privacy');
+const { LANGUAGE_PROFICIENCIES } = require('../utils/profileValidation');
+
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'connection_request',
+      'connection_accepted',
+      'post_like',
+      'post_comment',
+      'comment_reply',
+      'mention',
+      'skill_endorsement',
+      'recommendation_request',
+      'recommendation_declined',
+      'recommendation_received',
+      'recommendation_revision',
+      'recommendation_approved',
+      'recommendation_hidden',
+    ],
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+  },
+  recommendation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recommendation',
+  },
+  // Comment on the post, for notifications about a comment
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,15 +65,87 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true,
   },
+  // Vanity handle as the user typed it; handleKey is its case-insensitive form
+  handle: {
+    type: String,
+    trim: true,
+  },
+  handleKey: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    unique: true,
+    sparse: true,
+  },
+  handleChangedAt: {
+    type: Date,
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
     minlength: 6,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member',
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // TOTP secrets and recovery code hashes are never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: { type: String, required: true },
+        usedAt: { type: Date, default: null },
+      }],
+      select: false,
+    },
+  },
   profilePicture: {
     type: String,
     default: '',
   },
+  // Resized avatar URLs keyed by pixel size ('48', '200', '400')
+  profilePictureSizes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  bannerImage: {
+    type: String,
+    default: '',
+  },
+  // Resized banner URLs keyed by width ('800', '1584')
+  bannerImageSizes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  // One-line summary shown under the name, e.g. "Backend engineer at Acme"
+  headline: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 220,
+  },
+  location: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 100,
+  },
   bio: {
     type: String,
     default: '',
@@ -45,9 +168,42 @@ const userSchema = new mongoose.Schema({
     endDate: { type: Date },
     description: { type: String, default: '' },
   }],
+  certifications: [{
+    name: { type: String, required: true },
+    issuer: { type: String, required: true },
+    issueDate: { type: Date },
+    expirationDate: { type: Date },
+    credentialId: { type: String, default: '' },
+    credentialUrl: { type: String, default: '' },
+  }],
+  projects: [{
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    url: { type: String, default: '' },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    current: { type: Boolean, default: false },
+  }],
+  languages: [{
+    name: { type: String, required: true },
+    proficiency: { type: String, enum: [...LANGUAGE_PROFICIENCIES, null] },
+  }],
+  volunteer: [{
+    organization: { type: String, required: true },
+    role: { type: String, required: true },
+    cause: { type: String, default: '' },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    current: { type: Boolean, default: false },
+    description: { type: String, default: '' },
+  }],
   skills: [{
     type: String,
   }],
+  // Up to three skills shown first on the profile regardless of endorsements
+  pinnedSkills: [{
+    type: String,
+  }],
   connections: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -63,35 +219,74 @@ const userSchema = new mongoose.Schema({
       required: true,
     },
   }],
-  notifications: [{
-    type: {
-      type: String,
-      enum: ['connection_request', 'connection_accepted', 'post_like', 'post_comment', 'mention'],
-      required: true,
-    },
-    from: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    },
-    post: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Post',
-    },
-    message: {
-      type: String,
-      default: '',
-    },
-    read: {
-      type: Boolean,
-      default: false,
-    },
-  }, {
-    timestamps: true,
+  // Who can see each profile section: public, connections or only_me
+  privacy: Object.fromEntries(PRIVACY_FIELDS.map(field => [field, {
+    type: String,
+    enum: VISIBILITY_LEVELS,
+    default: PRIVACY_DEFAULTS[field],
+  }])),
+  // Profile views by this user are recorded without revealing who they are
+  browseAnonymously: {
+    type: Boolean,
+    default: false,
+  },
+  // Blocked users cannot see or interact with this user in either direction
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   }],
+  // Muted users' posts are only hidden from this user's feed
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Normalized hashtags whose posts are boosted in the home feed
+  followedHashtags: [{
+    type: String,
+  }],
+  notifications: [notificationSchema],
+  // Search copies kept in sync on save. The full-text index covers the public
+  // experience and education text instead of the sections themselves, so
+  // sections hidden by the privacy settings can never be matched. Skills and
+  // location are stored lowercased so filters are index equality matches.
+  searchable: {
+    experience: { type: String, default: '', select: false },
+    education: { type: String, default: '', select: false },
+    skills: { type: [String], default: [], select: false },
+    location: { type: String, default: '', select: false },
+  },
 }, {
   timestamps: true,
 });
 
+// Full-text people search, weighted towards names and skills
+userSchema.index(
+  {
+    name: 'text',
+    skills: 'text',
+    'searchable.experience': 'text',
+    'searchable.education': 'text',
+    bio: 'text',
+  },
+  {
+    name: 'user_text_search',
+    weights: {
+      name: 10,
+      skills: 5,
+      'searchable.experience': 4,
+      'searchable.education': 2,
+      bio: 1,
+    },
+  }
+);
+
+// Finds members whose activity is not public, to keep their posts out of feeds
+userSchema.index({ 'privacy.activity': 1 });
+
+// Support the skills and location filters
+userSchema.index({ 'searchable.skills': 1 });
+userSchema.index({ 'searchable.location': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -101,6 +296,49 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Drop endorsements and pins for skills that were removed from the profile
+userSchema.pre('save', function(next) {
+  this.$locals.skillsModified = !this.isNew && this.isModified('skills');
+  if (this.$locals.skillsModified) {
+    const keys = this.skills.map(skill => skill.trim().toLowerCase());
+    this.pinnedSkills = this.pinnedSkills.filter(skill => keys.includes(skill.trim().toLowerCase()));
+  }
+  next();
+});
+
+userSchema.post('save', async function() {
+  if (this.$locals.skillsModified) {
+    const keys = this.skills.map(skill => skill.trim().toLowerCase());
+    await mongoose.model('Endorsement').deleteMany({ user: this._id, skillKey: { $nin: keys } });
+  }
+});
+
+// Normalized form of a search filter value
+userSchema.statics.toSearchKey = (value) => String(value || '').trim().toLowerCase();
+
+// Search copies of a user's profile; sections that are not public are left empty
+userSchema.statics.getSearchFields = function(user) {
+  const isPublic = (field) => (user.privacy?.[field] || PRIVACY_DEFAULTS[field]) === 'public';
+  return {
+    experience: isPublic('experience')
+      ? (user.experience || []).map(exp => `${exp.title} ${exp.company}`).join(' ')
+      : '',
+    education: isPublic('education')
+      ? (user.education || []).map(edu => edu.school).join(' ')
+      : '',
+    skills: (user.skills || []).map(this.toSearchKey),
+    location: this.toSearchKey(user.location),
+  };
+};
+
+userSchema.pre('save', function(next) {
+  const paths = ['experience', 'education', 'privacy', 'skills', 'location'];
+  if (this.isNew || paths.some(path => this.isModified(path))) {
+    this.searchable = this.constructor.getSearchFields(this);
+  }
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
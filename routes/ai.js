@@ -670,5 +670,64 @@ Return ONLY a valid JSON array with this exact format:
   }
 });
 
-module.exports = router;
+// Draft a bio or headline from the user's experience (used by the profile completeness checklist)
+router.post('/draft-profile', auth, async (req, res) => {
+  try {
+    if (!groq || !process.env.GROQ_API_KEY) {
+      return res.status(503).json({ 
+        message: 'AI service not configured' 
+      });
+    }
 
+    const { field } = req.body;
+    const limits = { bio: 500, headline: 220 };
+
+    if (!limits[field]) {
+      return res.status(400).json({ message: 'field must be one of: bio, headline' });
+    }
+
+    const User = require('../models/User');
+    const currentUser = await User.findById(req.user._id).select('name experience education skills');
+
+    if (!currentUser.experience?.length) {
+      return res.status(400).json({ message: 'Add at least one experience entry first' });
+    }
+
+    const experience = currentUser.experience
+      .map(exp => `${exp.title} at ${exp.company}${exp.current ? ' (current)' : ''}${exp.description ? `: ${exp.description}` : ''}`)
+      .join('\n');
+    const education = currentUser.education.map(edu => `${edu.degree} at ${edu.school}`).join('\n');
+    const instructions = field === 'bio'
+      ? `Write a first-person professional bio of 2-4 sentences, under ${limits.bio} characters.`
+      : `Write a single professional headline under ${limits.headline} characters, e.g. "Backend Engineer at Acme | Node.js, MongoDB".`;
+
+    const completion = await groq.chat.completions.create({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a professional profile writer. Only use facts from the profile you are given. Return only the requested text, without quotes or explanations.',
+        },
+        {
+          role: 'user',
+          content: `${instructions}\n\nName: ${currentUser.name}\nExperience:\n${experience}\nEducation:\n${education || 'None listed'}\nSkills: ${currentUser.skills.join(', ') || 'None listed'}`,
+        },
+      ],
+      model: 'llama-3.1-8b-instant',
+      temperature: 0.6,
+      max_tokens: field === 'bio' ? 250 : 80,
+    });
+
+    const draft = (completion.choices[0]?.message?.content || '')
+      .trim()
+      .replace(/^["']|["']$/g, '')
+      .slice(0, limits[field]);
+
+    // Drafts are only suggestions; the user saves them through PUT /api/users/:id
+    res.json({ field, draft });
+  } catch (error) {
+    console.error('AI profile draft error:', error);
+    res.status(500).json({ message: 'Failed to draft profile text', error: error.message });
+  }
+});
+
+module.exports = router;
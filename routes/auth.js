@@ -1,18 +1,128 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
 const auth = require('../middleware/auth');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+} = require('../utils/emails');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures,
+} = require('../utils/loginThrottle');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} = require('../utils/sessions');
+const {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  signChallengeToken,
+  verifyChallengeToken,
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '30d',
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const ACCOUNT_UNLOCK_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Issue a verification token and email it; failures are logged, not thrown
+const issueVerificationEmail = async (user) => {
+  try {
+    const token = await AuthToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL);
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+  }
+};
+
+// Drop any live sockets that were authenticated with the given sessions
+const disconnectSessionSockets = (req, sessionIds) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  sessionIds.forEach(id => io.in(`session-${id}`).disconnectSockets(true));
+};
+
+// Email the account owner a link that lifts a lockout; failures are logged, not thrown
+const issueUnlockEmail = async (user, lockedUntil) => {
+  try {
+    const token = await AuthToken.issue(user._id, 'account_unlock', ACCOUNT_UNLOCK_TTL);
+    await sendAccountLockedEmail(user, token, lockedUntil);
+  } catch (error) {
+    console.error('Failed to send account unlock email:', error.message);
+  }
+};
+
+// Shape of the response returned once a user is fully signed in
+const buildAuthResponse = (user, { token, refreshToken }) => ({
+  token,
+  refreshToken,
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    profilePicture: user.profilePicture,
+    role: user.role,
+    emailVerified: user.emailVerified,
+  },
+});
+
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Please wait before trying again.',
+    retryAfter: throttle.retryAfter,
   });
 };
 
+// Count a failed password or second-factor attempt, emailing an unlock link on lockout
+const recordFailedAttempt = async (email, user, req) => {
+  const failure = await recordLoginFailure(email, req.ip);
+  if (failure.accountLocked && user) {
+    await issueUnlockEmail(user, failure.lockedUntil);
+  }
+};
+
+// Check a TOTP code or recovery code and mark it used so it cannot be replayed.
+// Expects user to be loaded with the twoFactor secret fields selected.
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } },
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
 // Register
 router.post('/register', async (req, res) => {
   try {
@@ -42,17 +152,11 @@ router.post('/register', async (req, res) => {
 
     const user = await User.create({ name, email, password });
 
-    const token = generateToken(user._id);
+    await issueVerificationEmail(user);
 
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        profilePicture: user.profilePicture,
-      },
-    });
+    const tokens = await createSession(user._id, req);
+
+    res.status(201).json(buildAuthResponse(user, tokens));
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ message: error.message });
@@ -70,36 +174,39 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    console.log('Login request received for:', req.body.email);
     const { email, password } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ message: 'Please provide email and password' });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      console.log('User not found:', email);
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // Enforce progressive delays and lockouts per account and per IP
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
     }
 
-    const isMatch = await user.comparePassword(password);
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    const isMatch = user ? await user.comparePassword(password) : false;
+
     if (!isMatch) {
-      console.log('Password mismatch for:', email);
+      await recordFailedAttempt(email, user, req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    // Second step required; failures are only cleared once it succeeds
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id),
+      });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        profilePicture: user.profilePicture,
-      },
-    });
+    await clearAccountFailures(user.email);
+
+    const tokens = await createSession(user._id, req);
+
+    res.json(buildAuthResponse(user, tokens));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: error.message });
@@ -116,5 +223,456 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Complete a two-step login with a TOTP code or a recovery code
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide challenge token and code' });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const isValid = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordFailedAttempt(user.email, user, req);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await clearAccountFailures(user.email);
+
+    const tokens = await createSession(user._id, req);
+
+    res.json(buildAuthResponse(user, tokens));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start 2FA enrollment: returns a secret, otpauth URI and QR code
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json(await buildEnrollment(req.user.email, secret));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Finish 2FA enrollment by confirming a code; returns recovery codes once
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': hashed,
+      },
+      $unset: { 'twoFactor.pendingSecret': '' },
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Disable 2FA (requires password and a current code or recovery code)
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Please provide password and code' });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Throttled like login, so a stolen access token cannot brute-force the code
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedAttempt(user.email, user, req);
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const isValid = await consumeSecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordFailedAttempt(user.email, user, req);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await clearAccountFailures(user.email);
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': '',
+        'twoFactor.secret': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.recoveryCodes': '',
+      },
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const isValid = await consumeSecondFactor(user, { code });
+    if (!isValid) {
+      await recordFailedAttempt(user.email, user, req);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await clearAccountFailures(user.email);
+
+    const { codes, hashed } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashed } });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unlock an account with a token from the lockout email
+router.post('/unlock', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Unlock token is required' });
+    }
+
+    const authToken = await AuthToken.consume(token, 'account_unlock');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Unlock link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (user) {
+      await clearAccountFailures(user.email);
+    }
+
+    res.json({ message: 'Account unlocked. You can now log in.' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Confirm email address with a token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await User.updateOne(
+      { _id: authToken.user },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await issueVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide an email' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (user) {
+      try {
+        const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL);
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset password with a token from the reset email (revokes every session)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide token and new password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await clearAccountFailures(user.email);
+
+    const sessions = await listActiveSessions(user._id);
+    await revokeAllSessions(user._id, { reason: 'password_reset' });
+    disconnectSessionSockets(req, sessions.map(session => session._id));
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+    disconnectSessionSockets(req, [req.authSession._id]);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change password (revokes every other session)
+router.put('/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Please provide current and new password' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const others = await listActiveSessions(user._id);
+    const otherIds = others
+      .map(session => session._id)
+      .filter(id => id.toString() !== req.authSession._id.toString());
+
+    await revokeAllSessions(user._id, { except: req.authSession._id, reason: 'password_changed' });
+    disconnectSessionSockets(req, otherIds);
+
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List active sessions (one per signed-in device)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.authSession._id.toString(),
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    const otherIds = sessions
+      .map(session => session._id)
+      .filter(id => id.toString() !== req.authSession._id.toString());
+
+    await revokeAllSessions(req.user._id, { except: req.authSession._id });
+    disconnectSessionSockets(req, otherIds);
+
+    res.json({ message: 'Other sessions revoked', revoked: otherIds.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const sessions = await listActiveSessions(req.user._id);
+    const session = sessions.find(s => s._id.toString() === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked');
+    disconnectSessionSockets(req, [session._id]);
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
 
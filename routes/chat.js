@@ -1,5 +1,6 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
@@ -12,7 +13,7 @@ router.get('/conversations', auth, async (req, res) => {
     const conversations = await Conversation.find({
       participants: req.user._id,
     })
-      .populate('participants', 'name email profilePicture')
+      .populate('participants', 'name handle profilePicture')
       .populate('lastMessage')
       .sort({ lastMessageAt: -1 });
 
@@ -38,7 +39,7 @@ router.get('/conversations', auth, async (req, res) => {
 });
 
 // Get or create a conversation between two users
-router.get('/conversations/:userId', auth, async (req, res) => {
+router.get('/conversations/:userId', auth, requireVerified, async (req, res) => {
   try {
     const otherUserId = req.params.userId;
 
@@ -62,7 +63,10 @@ router.get('/conversations/:userId', auth, async (req, res) => {
     }
 
     const conversation = await Conversation.findOrCreate(req.user._id, otherUserId);
-    await conversation.populate('participants', 'name email profilePicture');
+    if (!conversation) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+    await conversation.populate('participants', 'name handle profilePicture');
 
     const otherParticipant = conversation.participants.find(
       p => p._id.toString() !== req.user._id.toString()
@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { getBlockedIds } = require('../utils/blocking');
 
 const router = express.Router();
 
@@ -10,10 +11,16 @@ router.get('/', auth, async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate('notifications.from', 'name profilePicture')
       .populate('notifications.post', 'text')
+      .populate('notifications.recommendation', 'status experience')
       .select('notifications');
 
+    // Hide notifications from blocked users
+    const blockedIds = (await getBlockedIds(req.user._id)).map(id => id.toString());
+
     // Sort by most recent
-    const notifications = user.notifications.sort((a, b) => b.createdAt - a.createdAt);
+    const notifications = user.notifications
+      .filter(notif => !notif.from || !blockedIds.includes(notif.from._id.toString()))
+      .sort((a, b) => b.createdAt - a.createdAt);
 
     res.json(notifications);
   } catch (error) {
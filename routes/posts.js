@@ -1,10 +1,30 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const authorize = require('../middleware/authorize');
+const { can } = require('../utils/permissions');
+const { isBlocked, getBlockedIds, getHiddenAuthorIds, getPrivateActivityIds } = require('../utils/blocking');
+const { notify } = require('../utils/notifications');
+const { resolveMentions, retractMentions, syncMentions } = require('../utils/mentions');
+const { canViewField, getRelationship } = require('../utils/privacy');
+const { escapeRegex } = require('../utils/peopleSearch');
+const { MAX_FOLLOWED, normalizeHashtag } = require('../utils/hashtags');
+const {
+  REACTION_TYPES,
+  getPostCard,
+  getFeedPage,
+  getRankedFeedPage,
+  toCommentCards,
+  getCommentsPage,
+  getReactorsPage,
+} = require('../utils/postFeed');
 
 const router = express.Router();
 
@@ -39,46 +59,203 @@ const upload = multer({
   },
 });
 
-// Get all posts
-router.get('/', async (req, res) => {
+// Whether the viewer may see the author's posts under their activity setting
+const canViewActivityOf = async (authorId, viewer) => {
+  const author = await User.findById(authorId).select('connections privacy');
+  return Boolean(author) && canViewField(author, 'activity', getRelationship(author, viewer));
+};
+
+// Authors left out of shared feeds: blocked, muted, or with activity the viewer may not see
+const getFeedHiddenIds = async (viewerId) => {
+  const [hiddenIds, privateAuthorIds] = await Promise.all([
+    getHiddenAuthorIds(viewerId),
+    getPrivateActivityIds(viewerId),
+  ]);
+  return [...hiddenIds, ...privateAuthorIds];
+};
+
+// Feed of posts, newest first, e.g. ?limit=20&cursor=...&userId=...&search=...
+// Returns { posts, nextCursor } with reaction and comment counts only; comments
+// and reactors are loaded separately.
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { search, userId } = req.query;
+    const { search, userId, limit, cursor } = req.query;
     let query = {};
 
+    // Hide blocked users' posts, and in the general feed muted users' posts and
+    // posts by authors whose activity the viewer may not see
+    const hiddenIds = userId
+      ? await getBlockedIds(req.user?._id)
+      : await getFeedHiddenIds(req.user?._id);
+    if (hiddenIds.length > 0) {
+      query.user = { $nin: hiddenIds };
+    }
+
     // Search functionality
     if (search) {
-      query.$or = [
-        { text: { $regex: search, $options: 'i' } },
-      ];
+      query.text = { $regex: escapeRegex(String(search).slice(0, 100)), $options: 'i' };
     }
 
     // Filter by user if userId provided
     if (userId) {
-      query.user = userId;
+      if (!mongoose.isValidObjectId(userId) || (req.user && await isBlocked(req.user._id, userId))) {
+        return res.json({ posts: [], nextCursor: null });
+      }
+
+      // Respect the author's activity visibility setting
+      const author = await User.findById(userId).select('connections privacy');
+      if (author && !canViewField(author, 'activity', getRelationship(author, req.user))) {
+        return res.json({ posts: [], nextCursor: null });
+      }
+      query.user = new mongoose.Types.ObjectId(userId);
     }
 
-    const posts = await Post.find(query)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture')
-      .sort({ createdAt: -1 });
+    res.json(await getFeedPage(query, { limit, cursor }, req.user?._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Ranked home feed for the signed-in user, e.g. ?limit=20&cursor=...
+// Skips blocked and muted authors. Each post carries a reason
+// (own, connection, connection_engaged or other) and up to three
+// connections who reacted or commented.
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const [hiddenIds, privateAuthorIds] = await Promise.all([
+      getHiddenAuthorIds(req.user._id),
+      getPrivateActivityIds(req.user._id),
+    ]);
+    res.json(await getRankedFeedPage(req.user._id, req.query, hiddenIds, privateAuthorIds));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Posts tagged with a hashtag, newest first, e.g. /hashtag/javascript?cursor=...
+router.get('/hashtag/:tag', optionalAuth, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Invalid hashtag' });
+    }
+
+    const query = { hashtags: tag };
+    const hiddenIds = await getFeedHiddenIds(req.user?._id);
+    if (hiddenIds.length > 0) {
+      query.user = { $nin: hiddenIds };
+    }
+
+    let following = false;
+    if (req.user) {
+      const viewer = await User.findById(req.user._id).select('followedHashtags').lean();
+      following = (viewer?.followedHashtags || []).includes(tag);
+    }
+
+    const page = await getFeedPage(query, req.query, req.user?._id);
+    res.json({ tag, following, ...page });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Follow a hashtag; its posts are boosted in the home feed
+router.post('/hashtag/:tag/follow', auth, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Invalid hashtag' });
+    }
+
+    const user = await User.findById(req.user._id).select('followedHashtags');
+    if (!user.followedHashtags.includes(tag)) {
+      if (user.followedHashtags.length >= MAX_FOLLOWED) {
+        return res.status(400).json({ message: `You can follow at most ${MAX_FOLLOWED} hashtags` });
+      }
+      user.followedHashtags.push(tag);
+      await user.save();
+    }
+
+    res.json({ tag, following: true, followedHashtags: user.followedHashtags });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unfollow a hashtag
+router.delete('/hashtag/:tag/follow', auth, async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Invalid hashtag' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { followedHashtags: tag } },
+      { new: true }
+    ).select('followedHashtags');
+
+    res.json({ tag, following: false, followedHashtags: user.followedHashtags });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Top-level comments on a post, oldest first, e.g. ?limit=20&cursor=...
+// Pass parentId to page through the direct replies to a comment instead.
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const hiddenIds = req.user ? await getBlockedIds(req.user._id) : [];
+    const post = await Post.findById(req.params.id).select('user').lean();
+    if (!post || hiddenIds.some(id => id.equals(post.user)) || !(await canViewActivityOf(post.user, req.user))) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
 
-    res.json(posts);
+    const page = await getCommentsPage(post._id, req.query, hiddenIds, req.user?._id);
+    if (!page) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    res.json(page);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Users who reacted to a post, e.g. ?type=love&limit=20&cursor=...
+router.get('/:id/reactions', optionalAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid reaction type' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const hiddenIds = req.user ? await getBlockedIds(req.user._id) : [];
+    const post = await Post.findById(req.params.id).select('user').lean();
+    if (!post || hiddenIds.some(id => id.equals(post.user)) || !(await canViewActivityOf(post.user, req.user))) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    res.json(await getReactorsPage(post._id, req.query, hiddenIds));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Get single post
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('user', 'name email profilePicture')
+      .populate('user', 'name handle headline profilePicture')
       .populate('reactions.like', 'name profilePicture')
       .populate('reactions.love', 'name profilePicture')
       .populate('reactions.laugh', 'name profilePicture')
@@ -87,18 +264,31 @@ router.get('/:id', async (req, res) => {
       .populate('reactions.angry', 'name profilePicture')
       .populate('comments.user', 'name profilePicture');
 
-    if (!post) {
+    const blockedIds = req.user ? (await getBlockedIds(req.user._id)).map(id => id.toString()) : [];
+    if (!post || blockedIds.includes(post.user._id.toString())) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    res.json(post);
+    if (!(await canViewActivityOf(post.user._id, req.user))) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    // Leave out comments and reactions from users blocked either way
+    const isVisible = (user) => !user || !blockedIds.includes(user._id.toString());
+    const result = post.toObject();
+    result.comments = result.comments.filter(comment => isVisible(comment.user));
+    REACTION_TYPES.forEach(type => {
+      result.reactions[type] = (result.reactions[type] || []).filter(isVisible);
+    });
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Create post
-router.post('/', auth, upload.single('image'), async (req, res) => {
+router.post('/', auth, requireVerified, authorize('posts:create'), upload.single('image'), async (req, res) => {
   try {
     const { text } = req.body;
     const image = req.file ? `/uploads/${req.file.filename}` : '';
@@ -111,26 +301,23 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
       user: req.user._id,
       text: text.trim(),
       image,
+      mentions: await resolveMentions(text.trim(), req.user._id),
     });
 
-    const populatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
+    await syncMentions([], post.mentions, {
+      from: req.user._id,
+      post: post._id,
+      message: `${req.user.name} mentioned you in a post`,
+    });
 
-    res.status(201).json(populatedPost);
+    res.status(201).json(await getPostCard(post._id, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Update post
-router.put('/:id', auth, upload.single('image'), async (req, res) => {
+router.put('/:id', auth, requireVerified, upload.single('image'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -138,13 +325,15 @@ router.put('/:id', auth, upload.single('image'), async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    if (post.user.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'posts:update', post.user)) {
       return res.status(403).json({ message: 'Not authorized to update this post' });
     }
 
     const { text } = req.body;
+    const previousMentions = [...post.mentions];
     if (text) {
       post.text = text.trim();
+      post.mentions = await resolveMentions(post.text, post.user);
     }
 
     if (req.file) {
@@ -160,17 +349,17 @@ router.put('/:id', auth, upload.single('image'), async (req, res) => {
 
     await post.save();
 
-    const updatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
+    // Notify users newly mentioned by the edit and retract removed mentions
+    if (text) {
+      const author = await User.findById(post.user).select('name').lean();
+      await syncMentions(previousMentions, post.mentions, {
+        from: post.user,
+        post: post._id,
+        message: `${author.name} mentioned you in a post`,
+      });
+    }
 
-    res.json(updatedPost);
+    res.json(await getPostCard(post._id, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -185,7 +374,7 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    if (post.user.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'posts:delete', post.user)) {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
 
@@ -199,6 +388,12 @@ router.delete('/:id', auth, async (req, res) => {
 
     await post.deleteOne();
 
+    // Mention notifications would point at a missing post
+    await retractMentions(post.mentions, { from: post.user, post: post._id });
+    for (const comment of post.comments) {
+      await retractMentions(comment.mentions, { from: comment.user, post: post._id, comment: comment._id });
+    }
+
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -206,7 +401,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Like/Unlike post (backward compatibility)
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth, requireVerified, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -214,6 +409,10 @@ router.post('/:id/like', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    if (await isBlocked(req.user._id, post.user)) {
+      return res.status(403).json({ message: 'You cannot interact with this post' });
+    }
+
     // Initialize reactions if not exists
     if (!post.reactions) {
       post.reactions = {
@@ -246,24 +445,14 @@ router.post('/:id/like', auth, async (req, res) => {
 
     await post.save();
 
-    const updatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
-
-    res.json(updatedPost);
+    res.json(await getPostCard(post._id, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // React to post (new reaction system)
-router.post('/:id/react', auth, async (req, res) => {
+router.post('/:id/react', auth, requireVerified, async (req, res) => {
   try {
     const { reactionType } = req.body;
     const validReactions = ['like', 'love', 'laugh', 'cry', 'wow', 'angry'];
@@ -278,6 +467,10 @@ router.post('/:id/react', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    if (await isBlocked(req.user._id, post.user)) {
+      return res.status(403).json({ message: 'You cannot interact with this post' });
+    }
+
     // Initialize reactions if not exists
     if (!post.reactions) {
       post.reactions = {
@@ -313,42 +506,26 @@ router.post('/:id/react', auth, async (req, res) => {
       post.reactions[reactionType].push(req.user._id);
 
       // Create notification for post owner (if not own post)
-      if (post.user.toString() !== req.user._id.toString()) {
-        const postOwner = await User.findById(post.user);
-        if (postOwner) {
-          postOwner.notifications.push({
-            type: 'post_like',
-            from: req.user._id,
-            post: post._id,
-            message: `${req.user.name} reacted to your post`,
-          });
-          await postOwner.save();
-        }
-      }
+      await notify(post.user, {
+        type: 'post_like',
+        from: req.user._id,
+        post: post._id,
+        message: `${req.user.name} reacted to your post`,
+      });
     }
 
     await post.save();
 
-    const updatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
-
-    res.json(updatedPost);
+    res.json(await getPostCard(post._id, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Add comment
-router.post('/:id/comment', auth, async (req, res) => {
+router.post('/:id/comment', auth, requireVerified, async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, parentId } = req.body;
 
     if (!text || text.trim() === '') {
       return res.status(400).json({ message: 'Comment text is required' });
@@ -360,44 +537,209 @@ router.post('/:id/comment', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    if (await isBlocked(req.user._id, post.user)) {
+      return res.status(403).json({ message: 'You cannot interact with this post' });
+    }
+
+    // Replies reference a comment on the same post
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.isValidObjectId(parentId) ? post.comments.id(parentId) : null;
+      if (!parent) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      if (await isBlocked(req.user._id, parent.user)) {
+        return res.status(403).json({ message: 'You cannot reply to this comment' });
+      }
+    }
+
     post.comments.push({
       user: req.user._id,
       text: text.trim(),
+      mentions: await resolveMentions(text.trim(), req.user._id),
+      parent: parent?._id || null,
     });
 
     await post.save();
 
-    // Create notification for post owner (if not own post)
-    if (post.user.toString() !== req.user._id.toString()) {
-      const postOwner = await User.findById(post.user);
-      if (postOwner) {
-        postOwner.notifications.push({
-          type: 'post_comment',
-          from: req.user._id,
-          post: post._id,
-          message: `${req.user.name} commented on your post`,
-        });
-        await postOwner.save();
-      }
+    const comment = post.comments[post.comments.length - 1];
+    await syncMentions([], comment.mentions, {
+      from: req.user._id,
+      post: post._id,
+      comment: comment._id,
+      message: `${req.user.name} mentioned you in a comment`,
+    });
+
+    if (parent) {
+      await notify(parent.user, {
+        type: 'comment_reply',
+        from: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        message: `${req.user.name} replied to your comment`,
+      });
     }
 
-    const updatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
+    // Create notification for post owner (if not own post), unless they
+    // were already notified of the reply
+    if (!parent || !parent.user.equals(post.user)) {
+      await notify(post.user, {
+        type: 'post_comment',
+        from: req.user._id,
+        post: post._id,
+        message: `${req.user.name} commented on your post`,
+      });
+    }
+
+    // The post card, plus the new comment so clients need not refetch the thread
+    const hiddenIds = await getBlockedIds(req.user._id);
+    const [commentCard] = await toCommentCards(post.toObject().comments, [comment.toObject()], hiddenIds, req.user._id);
+    res.json({ ...(await getPostCard(post._id, req.user._id)), comment: commentCard });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Edit comment; marks it as edited
+router.put('/:id/comment/:commentId', auth, requireVerified, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || text.trim() === '') {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    if (text.trim().length > 1000) {
+      return res.status(400).json({ message: 'Comment must be at most 1000 characters' });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!can(req.user, 'comments:update', comment.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    if (await isBlocked(req.user._id, post.user)) {
+      return res.status(403).json({ message: 'You cannot interact with this post' });
+    }
+
+    const previousMentions = [...comment.mentions];
+    if (comment.text !== text.trim()) {
+      comment.text = text.trim();
+      comment.mentions = await resolveMentions(comment.text, comment.user);
+      comment.edited = true;
+      comment.editedAt = new Date();
+      await post.save();
+    }
+
+    await syncMentions(previousMentions, comment.mentions, {
+      from: comment.user,
+      post: post._id,
+      comment: comment._id,
+      message: `${req.user.name} mentioned you in a comment`,
+    });
+
+    const hiddenIds = await getBlockedIds(req.user._id);
+    const { comments } = post.toObject();
+    const [card] = await toCommentCards(comments, [comment.toObject()], hiddenIds, req.user._id);
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add, change or remove (same type again) the current user's reaction to a comment
+router.post('/:id/comment/:commentId/react', auth, requireVerified, async (req, res) => {
+  try {
+    const { reactionType } = req.body;
+
+    if (!REACTION_TYPES.includes(reactionType)) {
+      return res.status(400).json({ message: 'Invalid reaction type' });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const comment = post.comments.id(req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (await isBlocked(req.user._id, post.user) || await isBlocked(req.user._id, comment.user)) {
+      return res.status(403).json({ message: 'You cannot interact with this comment' });
+    }
+
+    const hasReaction = comment.reactions[reactionType].some(userId => userId.equals(req.user._id));
+
+    // A user has at most one reaction per comment
+    REACTION_TYPES.forEach(type => {
+      comment.reactions[type].pull(req.user._id);
+    });
+    if (!hasReaction) {
+      comment.reactions[reactionType].push(req.user._id);
+    }
+
+    await post.save();
+
+    const hiddenIds = await getBlockedIds(req.user._id);
+    const { comments } = post.toObject();
+    const [card] = await toCommentCards(comments, [comment.toObject()], hiddenIds, req.user._id);
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Users who reacted to a comment, e.g. ?type=love&limit=20&cursor=...
+router.get('/:id/comment/:commentId/reactions', optionalAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid reaction type' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.commentId)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const hiddenIds = req.user ? await getBlockedIds(req.user._id) : [];
+    const post = await Post.findById(req.params.id).select('user').lean();
+    if (!post || hiddenIds.some(id => id.equals(post.user)) || !(await canViewActivityOf(post.user, req.user))) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const page = await getReactorsPage(
+      post._id,
+      { ...req.query, commentId: new mongoose.Types.ObjectId(req.params.commentId) },
+      hiddenIds
+    );
+    if (!page) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
 
-    res.json(updatedPost);
+    res.json(page);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Delete comment
+// Delete comment. Its replies stay and are listed at the top level.
 router.delete('/:id/comment/:commentId', auth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
@@ -412,10 +754,10 @@ router.delete('/:id/comment/:commentId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // Check if user is the comment owner or post owner
+    // Comment owner, post owner or a moderator may delete
     if (
-      comment.user.toString() !== req.user._id.toString() &&
-      post.user.toString() !== req.user._id.toString()
+      !can(req.user, 'comments:delete', comment.user) &&
+      !can(req.user, 'comments:delete', post.user)
     ) {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
@@ -423,17 +765,9 @@ router.delete('/:id/comment/:commentId', auth, async (req, res) => {
     comment.deleteOne();
     await post.save();
 
-    const updatedPost = await Post.findById(post._id)
-      .populate('user', 'name email profilePicture')
-      .populate('reactions.like', 'name profilePicture')
-      .populate('reactions.love', 'name profilePicture')
-      .populate('reactions.laugh', 'name profilePicture')
-      .populate('reactions.cry', 'name profilePicture')
-      .populate('reactions.wow', 'name profilePicture')
-      .populate('reactions.angry', 'name profilePicture')
-      .populate('comments.user', 'name profilePicture');
+    await retractMentions(comment.mentions, { from: comment.user, post: post._id, comment: comment._id });
 
-    res.json(updatedPost);
+    res.json(await getPostCard(post._id, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,301 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Recommendation = require('../models/Recommendation');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const { isBlocked } = require('../utils/blocking');
+const { notify } = require('../utils/notifications');
+const { getVisibleRecommendations } = require('../utils/recommendations');
+
+// Mounted under /api/users, ahead of the users router
+const router = express.Router();
+
+const isConnected = (user, otherId) =>
+  user.connections.some(id => id.toString() === otherId.toString());
+
+// Load a recommendation the current user is a party to, or send 404
+const loadRecommendation = async (req, res, role) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Recommendation not found' });
+    return null;
+  }
+
+  const recommendation = await Recommendation.findOne({
+    _id: req.params.id,
+    [role]: req.user._id,
+  });
+
+  if (!recommendation) {
+    res.status(404).json({ message: 'Recommendation not found' });
+    return null;
+  }
+
+  return recommendation;
+};
+
+// Recommendations the current user received or wrote, in every status
+router.get('/me/recommendations', auth, async (req, res) => {
+  try {
+    const role = req.query.role === 'given' ? 'author' : 'recipient';
+    const query = { [role]: req.user._id };
+
+    if (req.query.status && Recommendation.STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const recommendations = await Recommendation.find(query)
+      .populate('author', 'name profilePicture')
+      .populate('recipient', 'name profilePicture')
+      .sort({ updatedAt: -1 });
+
+    res.json(recommendations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Ask a connection for a recommendation on one of your experience entries
+router.post('/me/recommendations/requests', auth, requireVerified, async (req, res) => {
+  try {
+    const { authorId, experienceId, message } = req.body;
+
+    if (!mongoose.isValidObjectId(authorId) || !mongoose.isValidObjectId(experienceId)) {
+      return res.status(400).json({ message: 'Please provide authorId and experienceId' });
+    }
+
+    if (authorId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot recommend yourself' });
+    }
+
+    const recipient = await User.findById(req.user._id);
+    const experience = recipient.experience.id(experienceId);
+    if (!experience) {
+      return res.status(404).json({ message: 'Experience entry not found' });
+    }
+
+    const author = await User.findById(authorId).select('name');
+    if (!author || await isBlocked(req.user._id, authorId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!isConnected(recipient, authorId)) {
+      return res.status(403).json({ message: 'You can only ask connections for recommendations' });
+    }
+
+    const pending = await Recommendation.exists({
+      recipient: recipient._id,
+      author: authorId,
+      experience: experienceId,
+      status: { $in: ['requested', 'submitted', 'revision_requested'] },
+    });
+    if (pending) {
+      return res.status(400).json({ message: 'A recommendation for this position is already in progress' });
+    }
+
+    const recommendation = await Recommendation.create({
+      recipient: recipient._id,
+      author: authorId,
+      experience: experienceId,
+      requestMessage: message ? String(message).trim() : '',
+    });
+
+    await notify(authorId, {
+      type: 'recommendation_request',
+      from: recipient._id,
+      recommendation: recommendation._id,
+      message: `${recipient.name} asked you for a recommendation for ${experience.title} at ${experience.company}`,
+    });
+
+    res.status(201).json(recommendation);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Author writes (or revises) a requested recommendation
+router.put('/me/recommendations/:id/write', auth, requireVerified, async (req, res) => {
+  try {
+    const { text, relationship } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Recommendation text is required' });
+    }
+
+    const recommendation = await loadRecommendation(req, res, 'author');
+    if (!recommendation) return;
+
+    if (!['requested', 'revision_requested'].includes(recommendation.status)) {
+      return res.status(400).json({ message: 'This recommendation cannot be edited' });
+    }
+
+    if (await isBlocked(req.user._id, recommendation.recipient)) {
+      return res.status(404).json({ message: 'Recommendation not found' });
+    }
+
+    // The pair may have disconnected since the request was made
+    const author = await User.findById(req.user._id).select('connections');
+    if (!isConnected(author, recommendation.recipient)) {
+      return res.status(403).json({ message: 'You can only recommend your connections' });
+    }
+
+    recommendation.text = text.trim();
+    if (relationship !== undefined) recommendation.relationship = String(relationship).trim();
+    recommendation.status = 'submitted';
+    recommendation.submittedAt = new Date();
+    await recommendation.save();
+
+    await notify(recommendation.recipient, {
+      type: 'recommendation_received',
+      from: req.user._id,
+      recommendation: recommendation._id,
+      message: `${req.user.name} wrote you a recommendation`,
+    });
+
+    res.json(recommendation);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Author declines a request
+router.post('/me/recommendations/:id/decline', auth, async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'author');
+    if (!recommendation) return;
+
+    if (!['requested', 'revision_requested'].includes(recommendation.status)) {
+      return res.status(400).json({ message: 'This recommendation cannot be declined' });
+    }
+
+    recommendation.status = 'declined';
+    await recommendation.save();
+
+    await notify(recommendation.recipient, {
+      type: 'recommendation_declined',
+      from: req.user._id,
+      recommendation: recommendation._id,
+      message: `${req.user.name} declined your recommendation request`,
+    });
+
+    res.json(recommendation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Recipient approves a submitted (or previously hidden) recommendation
+router.post('/me/recommendations/:id/approve', auth, async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+
+    if (!['submitted', 'hidden'].includes(recommendation.status)) {
+      return res.status(400).json({ message: 'Only submitted or hidden recommendations can be approved' });
+    }
+
+    const firstApproval = !recommendation.approvedAt;
+    recommendation.status = 'approved';
+    recommendation.approvedAt = recommendation.approvedAt || new Date();
+    await recommendation.save();
+
+    if (firstApproval) {
+      await notify(recommendation.author, {
+        type: 'recommendation_approved',
+        from: req.user._id,
+        recommendation: recommendation._id,
+        message: `${req.user.name} added your recommendation to their profile`,
+      });
+    }
+
+    res.json(recommendation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Recipient hides a recommendation from their profile
+router.post('/me/recommendations/:id/hide', auth, async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+
+    if (!['submitted', 'approved'].includes(recommendation.status)) {
+      return res.status(400).json({ message: 'Only submitted or approved recommendations can be hidden' });
+    }
+
+    recommendation.status = 'hidden';
+    await recommendation.save();
+
+    await notify(recommendation.author, {
+      type: 'recommendation_hidden',
+      from: req.user._id,
+      recommendation: recommendation._id,
+      message: `${req.user.name} removed your recommendation from their profile`,
+    });
+
+    res.json(recommendation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Recipient asks the author to revise a submitted recommendation
+router.post('/me/recommendations/:id/request-revision', auth, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+
+    if (!['submitted', 'approved', 'hidden'].includes(recommendation.status)) {
+      return res.status(400).json({ message: 'Only written recommendations can be revised' });
+    }
+
+    recommendation.status = 'revision_requested';
+    recommendation.revisionNote = note ? String(note).trim() : '';
+    await recommendation.save();
+
+    await notify(recommendation.author, {
+      type: 'recommendation_revision',
+      from: req.user._id,
+      recommendation: recommendation._id,
+      message: `${req.user.name} asked you to revise your recommendation`,
+    });
+
+    res.json(recommendation);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approved recommendations shown on a profile
+router.get('/:id/recommendations', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) ||
+      (req.user && await isBlocked(req.user._id, req.params.id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('experience connections privacy');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await getVisibleRecommendations(user, req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const optionalAuth = require('../middleware/optionalAuth');
+const { getHiddenAuthorIds } = require('../utils/blocking');
+const { getTrendingHashtags } = require('../utils/trending');
+
+const router = express.Router();
+
+// Top hashtags over a sliding window, e.g. ?hours=24&limit=10
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const hiddenIds = req.user ? await getHiddenAuthorIds(req.user._id) : [];
+    res.json(await getTrendingHashtags(req.query, hiddenIds));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,767 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const User = require('../models/User');
+const Endorsement = require('../models/Endorsement');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerified = require('../middleware/requireVerified');
+const authorize = require('../middleware/authorize');
+const { ROLES, can } = require('../utils/permissions');
+const { clearAccountFailures } = require('../utils/loginThrottle');
+const { exportUserData, deleteUserData } = require('../utils/accountData');
+const { withTransaction } = require('../utils/transaction');
+const { isBlocked } = require('../utils/blocking');
+const { notify } = require('../utils/notifications');
+const { detectImageType, processImage, removeImageSet } = require('../utils/images');
+const { searchPeople, hasSearchCriteria } = require('../utils/peopleSearch');
+const {
+  getConnectionDegree,
+  getMutualConnections,
+  getPeopleYouMayKnow,
+} = require('../utils/connectionGraph');
+const { MAX_PINNED_SKILLS, getSkillSummary, removeEndorsementsBetween } = require('../utils/endorsements');
+const { getVisibleRecommendations } = require('../utils/recommendations');
+const { recordProfileView, getProfileViewStats } = require('../utils/profileViews');
+const {
+  IMPORT_MODES,
+  toJsonResume,
+  validateJsonResume,
+  fromJsonResume,
+  applyJsonResume,
+} = require('../utils/jsonResume');
+const { TEMPLATE_NAMES, DEFAULT_TEMPLATE, createResumePdf } = require('../utils/resumePdf');
+const {
+  MAX_SECTION_ITEMS,
+  SECTION_NAMES,
+  checkEntryRules,
+  validateSectionEntry,
+  validateProfileUpdate,
+} = require('../utils/profileValidation');
+const { getProfileCompleteness } = require('../utils/profileCompleteness');
+const {
+  toHandleKey,
+  validateHandle,
+  isHandleAvailable,
+  getNextChangeAt,
+  setHandle,
+  resolveHandle,
+} = require('../utils/handles');
+const {
+  VISIBILITY_LEVELS,
+  PRIVACY_FIELDS,
+  serializeProfile,
+} = require('../utils/privacy');
 
 const router = express.Router();
 
-// Search users
-router.get('/search', async (req, res) => {
+// Profile images are kept in memory so they can be checked and resized before
+// anything is written to disk
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+}).single('image');
+
+// Image fields on User for each uploadable kind
+const IMAGE_FIELDS = {
+  avatar: { url: 'profilePicture', sizes: 'profilePictureSizes' },
+  banner: { url: 'bannerImage', sizes: 'bannerImageSizes' },
+};
+
+// Build handlers that upload or remove the current user's avatar/banner
+const uploadProfileImage = (kind) => (req, res) => {
+  imageUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({ message: uploadError.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'Image file is required' });
+      }
+
+      // Trust the file contents, not the extension or the client's mimetype
+      if (!detectImageType(req.file.buffer)) {
+        return res.status(400).json({ message: 'Only JPEG, PNG, GIF or WebP images are allowed' });
+      }
+
+      const fields = IMAGE_FIELDS[kind];
+      const user = await User.findById(req.user._id);
+      const previous = { url: user[fields.url], sizes: user[fields.sizes] };
+
+      let image;
+      try {
+        image = await processImage(req.file.buffer, kind, user._id);
+      } catch (error) {
+        return res.status(400).json({ message: 'Image could not be processed' });
+      }
+
+      user[fields.url] = image.url;
+      user[fields.sizes] = image.sizes;
+      try {
+        await user.save();
+      } catch (error) {
+        // Don't leave the new variants behind when they were never referenced
+        removeImageSet(image.url, image.sizes);
+        throw error;
+      }
+
+      removeImageSet(previous.url, previous.sizes);
+
+      res.json({ [fields.url]: image.url, [fields.sizes]: image.sizes });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+};
+
+const deleteProfileImage = (kind) => async (req, res) => {
+  try {
+    const fields = IMAGE_FIELDS[kind];
+    const user = await User.findById(req.user._id);
+
+    removeImageSet(user[fields.url], user[fields.sizes]);
+    user[fields.url] = '';
+    user[fields.sizes] = {};
+    await user.save();
+
+    res.json({ message: 'Image removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Send a user's profile as seen by the current viewer, and record the view
+const sendProfile = async (req, res, userId) => {
+  if (!mongoose.isValidObjectId(userId) || (req.user && await isBlocked(req.user._id, userId))) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  const user = await User.findById(userId)
+    .populate('connections', 'name profilePicture')
+    .populate('connectionRequests.user', 'name profilePicture');
+
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  // Fields are filtered by the owner's privacy settings for this viewer
+  const profile = serializeProfile(user, req.user);
+  profile.skillEndorsements = await getSkillSummary(user, req.user?._id);
+  profile.recommendations = await getVisibleRecommendations(user, req.user);
+
+  // A failed view record must never break the profile itself
+  await recordProfileView(user._id, req.user).catch(error => {
+    console.error('Failed to record profile view:', error.message);
+  });
+
+  if (req.user) {
+    const [degree, mutual] = await Promise.all([
+      getConnectionDegree(req.user._id, user._id),
+      getMutualConnections(req.user._id, user._id, { limit: 0 }),
+    ]);
+    profile.degree = degree;
+    profile.mutualConnectionCount = mutual.count;
+  }
+
+  res.json(profile);
+};
+
+// Search users: full-text query plus facets, e.g.
+// /search?q=react&skills=JavaScript,CSS&company=Acme&school=MIT&location=Remote&degree=2&limit=20&cursor=...
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q, skills, company, school, location, degree, limit, cursor } = req.query;
+
+    if (!hasSearchCriteria({ q, skills, company, school, location, degree }, req.user)) {
+      return res.status(400).json({ message: 'Provide a search query or at least one filter' });
+    }
+
+    const result = await searchPeople(
+      { q, skills, company, school, location, degree, limit, cursor },
+      req.user
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Candidate search for recruiters: people search plus filters on the current
+// job title and on past employers, e.g.
+// /candidates?title=Engineer&pastCompany=Acme&skills=Go&location=Berlin
+router.get('/candidates', auth, authorize('recruiter:access', 'candidates:search'), async (req, res) => {
+  try {
+    const { q, skills, company, school, location, degree, title, pastCompany, limit, cursor } = req.query;
+    const query = { q, skills, company, school, location, degree, title, pastCompany };
+
+    if (!hasSearchCriteria(query, req.user)) {
+      return res.status(400).json({ message: 'Provide a search query or at least one filter' });
+    }
+
+    const result = await searchPeople({ ...query, limit, cursor }, req.user);
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// People you may know, ranked by number of mutual connections
+router.get('/suggestions', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const suggestions = await getPeopleYouMayKnow(req.user._id, { limit });
+
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download all personal data as a JSON archive
+router.get('/me/export', auth, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user._id);
+
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="careerly-export-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List blocked and muted users
+router.get('/me/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers mutedUsers')
+      .populate('blockedUsers', 'name profilePicture')
+      .populate('mutedUsers', 'name profilePicture');
+
+    res.json({ blocked: user.blockedUsers, muted: user.mutedUsers });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get profile privacy settings
+router.get('/me/privacy', auth, async (req, res) => {
+  try {
+    res.json(serializeProfile(req.user, req.user).privacy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update profile privacy settings, e.g. { email: 'only_me', connections: 'public' }.
+// browseAnonymously hides your identity when you view other profiles.
+router.put('/me/privacy', auth, async (req, res) => {
+  try {
+    const updates = {};
+
+    if (req.body.browseAnonymously !== undefined) {
+      if (typeof req.body.browseAnonymously !== 'boolean') {
+        return res.status(400).json({ message: 'browseAnonymously must be true or false' });
+      }
+      updates.browseAnonymously = req.body.browseAnonymously;
+    }
+
+    for (const field of PRIVACY_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      if (!VISIBILITY_LEVELS.includes(req.body[field])) {
+        return res.status(400).json({
+          message: `${field} must be one of: ${VISIBILITY_LEVELS.join(', ')}`,
+        });
+      }
+      updates[`privacy.${field}`] = req.body[field];
+    }
+
+    // Saved through the document so the searchable profile text is refreshed
+    const user = await User.findById(req.user._id);
+    user.set(updates);
+    await user.save();
+
+    res.json(serializeProfile(user, user).privacy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Profile by vanity handle (case-insensitive). A recently changed handle
+// redirects to the user's current handle for a grace period.
+router.get('/by-handle/:handle', optionalAuth, async (req, res) => {
+  try {
+    const resolved = await resolveHandle(req.params.handle);
+    if (!resolved) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (resolved.redirectTo) {
+      const target = resolved.redirectTo;
+      if (req.user && await isBlocked(req.user._id, target._id)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const location = target.handle
+        ? `${req.baseUrl}/by-handle/${encodeURIComponent(target.handle)}`
+        : `${req.baseUrl}/${target._id}`;
+      // Temporary: the old handle is released once the grace period ends
+      return res.redirect(302, location);
+    }
+
+    await sendProfile(req, res, resolved.user._id);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const sendHandleChangeLimited = (res, nextChangeAt) => {
+  res.set('Retry-After', String(Math.ceil((nextChangeAt - Date.now()) / 1000)));
+  return res.status(429).json({
+    message: 'You changed your handle recently. Please try again later.',
+    nextChangeAt,
+  });
+};
+
+// Check whether a handle can be claimed, e.g. ?handle=jane-doe
+router.get('/me/handle/availability', auth, async (req, res) => {
+  try {
+    const { handle } = req.query;
+    const error = validateHandle(handle);
+    if (error) {
+      return res.json({ handle, available: false, reason: `Handle ${error}` });
+    }
+
+    const available = await isHandleAvailable(handle, req.user._id);
+    res.json({ handle, available, ...(available ? {} : { reason: 'Handle is already taken' }) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Claim or change your handle, e.g. { handle: 'Jane-Doe' }
+router.put('/me/handle', auth, async (req, res) => {
+  try {
+    const { handle } = req.body;
+    const error = validateHandle(handle);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ field: 'handle', message: error }],
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isChange = user.handleKey !== toHandleKey(handle);
+
+    // Changing only the capitalization is always allowed
+    const nextChangeAt = isChange ? getNextChangeAt(user) : null;
+    if (nextChangeAt) {
+      return sendHandleChangeLimited(res, nextChangeAt);
+    }
+
+    if (isChange && !(await isHandleAvailable(handle, user._id))) {
+      return res.status(409).json({ message: 'Handle is already taken' });
+    }
+
+    res.json(await setHandle(user, handle));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Handle is already taken' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Give up your handle; it keeps redirecting to you for the grace period.
+// Counts as a change for the change limit.
+router.delete('/me/handle', auth, async (req, res) => {
   try {
-    const { q } = req.query;
-    
-    if (!q || q.trim().length === 0) {
-      return res.json([]);
+    const user = await User.findById(req.user._id);
+    if (!user.handleKey) {
+      return res.status(404).json({ message: 'You do not have a handle' });
     }
 
-    const users = await User.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { bio: { $regex: q, $options: 'i' } },
-        { 'skills': { $regex: q, $options: 'i' } },
-      ],
-    })
-      .select('-password')
-      .limit(20);
+    const nextChangeAt = getNextChangeAt(user);
+    if (nextChangeAt) {
+      return sendHandleChangeLimited(res, nextChangeAt);
+    }
 
-    res.json(users);
+    res.json(await setHandle(user, null));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Hashtags the current user follows
+router.get('/me/hashtags', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('followedHashtags').lean();
+    res.json({ followedHashtags: user?.followedHashtags || [] });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Profile completeness score with missing items ranked by impact, for the onboarding checklist
+router.get('/me/completeness', auth, async (req, res) => {
+  try {
+    const aiDrafts = Boolean(process.env.GROQ_API_KEY);
+    res.json(getProfileCompleteness(req.user, { aiDrafts }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Who viewed your profile, e.g. ?weeks=12&limit=20. Anonymous viewers are only counted.
+router.get('/me/profile-views', auth, async (req, res) => {
+  try {
+    res.json(await getProfileViewStats(req.user._id, req.query));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Import a JSON Resume document into your profile, e.g. ?mode=merge (default) or ?mode=replace
+router.put('/me/resume.json', auth, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const errors = validateJsonResume(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid JSON Resume document', errors });
+    }
+
+    // Mapped fields go through the same checks as manual profile edits
+    const { value, errors: fieldErrors } = validateProfileUpdate(fromJsonResume(req.body));
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: fieldErrors });
+    }
+
+    const user = await User.findById(req.user._id);
+    const imported = applyJsonResume(user, value, mode);
+
+    // Merged entries mix imported and stored fields, so check them again
+    const entryErrors = SECTION_NAMES
+      .filter(section => value[section])
+      .flatMap(section => user[section].flatMap((entry, index) => (
+        checkEntryRules(section, entry.toObject(), `${section}[${index}]`)
+      )));
+    if (entryErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: entryErrors });
+    }
+
+    await user.save();
+
+    res.json({ mode, imported, profile: serializeProfile(user, user) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Upload profile picture (multipart field "image"); stored as 48/200/400px variants
+router.post('/me/avatar', auth, uploadProfileImage('avatar'));
+
+// Remove profile picture
+router.delete('/me/avatar', auth, deleteProfileImage('avatar'));
+
+// Upload banner image (multipart field "image"); stored as 800/1584px wide variants
+router.post('/me/banner', auth, uploadProfileImage('banner'));
+
+// Remove banner image
+router.delete('/me/banner', auth, deleteProfileImage('banner'));
+
+// Reorder skills, e.g. { skills: ['Node.js', 'React', 'CSS'] } (same skills, new order)
+router.put('/me/skills/order', auth, async (req, res) => {
+  try {
+    const { skills } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const toKey = Endorsement.toSkillKey;
+    const current = user.skills.map(toKey).sort();
+    const requested = Array.isArray(skills) ? skills.map(toKey).sort() : [];
+
+    if (current.length !== requested.length || current.some((key, i) => key !== requested[i])) {
+      return res.status(400).json({ message: 'Skills must contain exactly the skills on your profile' });
+    }
+
+    // Keep the stored spelling of each skill
+    const byKey = new Map(user.skills.map(skill => [toKey(skill), skill]));
+    user.skills = skills.map(skill => byKey.get(toKey(skill)));
+    await user.save();
+
+    res.json(await getSkillSummary(user, req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Pin up to three skills to the top of the profile
+router.put('/me/skills/pinned', auth, async (req, res) => {
+  try {
+    const { skills } = req.body;
+
+    if (!Array.isArray(skills) || skills.length > MAX_PINNED_SKILLS) {
+      return res.status(400).json({ message: `You can pin up to ${MAX_PINNED_SKILLS} skills` });
+    }
+
+    const user = await User.findById(req.user._id);
+    const byKey = new Map(user.skills.map(skill => [Endorsement.toSkillKey(skill), skill]));
+    const pinned = [...new Set(skills.map(Endorsement.toSkillKey))];
+
+    if (pinned.some(key => !byKey.has(key))) {
+      return res.status(400).json({ message: 'You can only pin skills on your profile' });
+    }
+
+    user.pinnedSkills = pinned.map(key => byKey.get(key));
+    await user.save();
+
+    res.json(await getSkillSummary(user, req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a skill (its endorsements are deleted with it)
+router.delete('/me/skills/:skill', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const key = Endorsement.toSkillKey(req.params.skill);
+    const remaining = user.skills.filter(skill => Endorsement.toSkillKey(skill) !== key);
+
+    if (remaining.length === user.skills.length) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    user.skills = remaining;
+    await user.save();
+
+    res.json(await getSkillSummary(user, req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Permanently delete the current account and all associated data
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'Please confirm your password' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    await deleteUserData(user._id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user-${user._id}`).disconnectSockets(true);
+    }
+
+    res.json({ message: 'Account deleted' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Get user profile
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('-password')
-      .populate('connections', 'name profilePicture email')
-      .populate('connectionRequests.user', 'name profilePicture email');
-    
+    await sendProfile(req, res, req.params.id);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Profile as a JSON Resume (jsonresume.org) document, limited to what the viewer may see
+router.get('/:id/resume.json', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) ||
+      (req.user && await isBlocked(req.user._id, req.params.id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user);
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json(toJsonResume(user, req.user, baseUrl));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Profile rendered as a PDF résumé, e.g. ?template=modern. Privacy rules apply as on the profile.
+router.get('/:id/resume.pdf', optionalAuth, async (req, res) => {
+  try {
+    const template = req.query.template || DEFAULT_TEMPLATE;
+    if (!TEMPLATE_NAMES.includes(template)) {
+      return res.status(400).json({ message: `template must be one of: ${TEMPLATE_NAMES.join(', ')}` });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id) ||
+      (req.user && await isBlocked(req.user._id, req.params.id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filename = `${user.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'resume'}-resume.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    createResumePdf(serializeProfile(user, req.user), template).pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Connection degree between the current user and a profile (1st-3rd, or null)
+router.get('/:id/degree', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || await isBlocked(req.user._id, req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [degree, mutual] = await Promise.all([
+      getConnectionDegree(req.user._id, req.params.id),
+      getMutualConnections(req.user._id, req.params.id, { limit: 0 }),
+    ]);
+
+    res.json({ degree, mutualConnectionCount: mutual.count });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mutual connections between the current user and a profile
+router.get('/:id/mutual-connections', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || await isBlocked(req.user._id, req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const mutual = await getMutualConnections(req.user._id, req.params.id, { limit });
+
+    res.json(mutual);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Skills with endorsement counts, sorted pinned first then by endorsements
+router.get('/:id/skills', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) ||
+      (req.user && await isBlocked(req.user._id, req.params.id))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.id).select('skills pinnedSkills');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await getSkillSummary(user, req.user?._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Endorse a connection's skill
+router.post('/:id/skills/:skill/endorse', auth, requireVerified, async (req, res) => {
+  try {
+    const profileId = req.params.id;
+
+    if (profileId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot endorse your own skills' });
+    }
+
+    if (!mongoose.isValidObjectId(profileId) || await isBlocked(req.user._id, profileId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(profileId).select('name skills pinnedSkills connections');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.connections.some(id => id.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'Only connections can endorse skills' });
+    }
+
+    const skillKey = Endorsement.toSkillKey(req.params.skill);
+    const skill = user.skills.find(s => Endorsement.toSkillKey(s) === skillKey);
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found' });
+    }
+
+    const result = await Endorsement.updateOne(
+      { user: user._id, skillKey, endorser: req.user._id },
+      { $setOnInsert: { skill } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 1) {
+      await notify(user._id, {
+        type: 'skill_endorsement',
+        from: req.user._id,
+        message: `${req.user.name} endorsed you for ${skill}`,
+      });
+    }
+
+    res.json(await getSkillSummary(user, req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Withdraw an endorsement
+router.delete('/:id/skills/:skill/endorse', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await Endorsement.deleteOne({
+      user: req.params.id,
+      skillKey: Endorsement.toSkillKey(req.params.skill),
+      endorser: req.user._id,
+    });
+
+    const user = await User.findById(req.params.id).select('skills pinnedSkills');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await getSkillSummary(user, req.user._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -50,38 +770,186 @@ router.get('/:id', async (req, res) => {
 // Update user profile
 router.put('/:id', auth, async (req, res) => {
   try {
-    if (req.params.id !== req.user._id.toString()) {
+    if (!can(req.user, 'profiles:update', req.params.id)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    const { name, bio, experience, education, skills } = req.body;
+    const { value, errors } = validateProfileUpdate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    if (name) user.name = name;
-    if (bio !== undefined) user.bio = bio;
-    if (experience) user.experience = experience;
-    if (education) user.education = education;
-    if (skills) user.skills = skills;
-
+    user.set(value);
     await user.save();
 
     const updatedUser = await User.findById(user._id)
-      .select('-password')
       .populate('connections', 'name profilePicture')
       .populate('connectionRequests.user', 'name profilePicture');
 
-    res.json(updatedUser);
+    res.json(serializeProfile(updatedUser, req.user));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Per-item edits of a list section: experience, education, certifications,
+// projects, languages or volunteer
+const SECTION_PATH = `/:id/:section(${SECTION_NAMES.join('|')})`;
+
+// Load the profile for a section edit, checking edit permission first
+const loadEditableProfile = async (req, res) => {
+  if (!can(req.user, 'profiles:update', req.params.id)) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  return user;
+};
+
+// Add an entry to a section
+router.post(SECTION_PATH, auth, async (req, res) => {
+  try {
+    const { section } = req.params;
+    const user = await loadEditableProfile(req, res);
+    if (!user) return;
+
+    if (user[section].length >= MAX_SECTION_ITEMS) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ field: section, message: `cannot have more than ${MAX_SECTION_ITEMS} entries` }],
+      });
+    }
+
+    const { value, errors } = validateSectionEntry(section, req.body, { siblings: user[section] });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    user[section].push(value);
+    await user.save();
+
+    res.status(201).json(user[section][user[section].length - 1]);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update fields of one entry; fields left out are kept
+router.put(`${SECTION_PATH}/:itemId`, auth, async (req, res) => {
+  try {
+    const { section, itemId } = req.params;
+    const user = await loadEditableProfile(req, res);
+    if (!user) return;
+
+    const entry = mongoose.isValidObjectId(itemId) ? user[section].id(itemId) : null;
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const { value, errors } = validateSectionEntry(section, req.body, {
+      existing: entry.toObject(),
+      siblings: user[section].filter(other => !other._id.equals(entry._id)),
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    entry.set(value);
+    await user.save();
+
+    res.json(entry);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove one entry
+router.delete(`${SECTION_PATH}/:itemId`, auth, async (req, res) => {
+  try {
+    const { section, itemId } = req.params;
+    const user = await loadEditableProfile(req, res);
+    if (!user) return;
+
+    const entry = mongoose.isValidObjectId(itemId) ? user[section].id(itemId) : null;
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    entry.deleteOne();
+    await user.save();
+
+    res.json({ message: 'Entry removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change a user's role (admin only)
+router.put('/:id/role', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot change your own role' });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.json({ message: 'Role updated', user: { id: user._id, name: user.name, role: user.role } });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Lift a login lockout (admin only)
+router.post('/:id/unlock', auth, authorize('users:manage'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await clearAccountFailures(user.email);
+
+    res.json({ message: 'Account unlocked' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Send connection request
-router.post('/:id/connect', auth, async (req, res) => {
+router.post('/:id/connect', auth, requireVerified, async (req, res) => {
   try {
     const targetUserId = req.params.id;
     const currentUserId = req.user._id.toString();
@@ -97,6 +965,10 @@ router.post('/:id/connect', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (await isBlocked(currentUserId, targetUserId)) {
+      return res.status(403).json({ message: 'Cannot connect with this user' });
+    }
+
     // Check if already connected
     if (currentUser.connections.includes(targetUserId)) {
       return res.status(400).json({ message: 'Already connected' });
@@ -126,12 +998,11 @@ router.post('/:id/connect', auth, async (req, res) => {
     await targetUser.save();
 
     // Create notification for target user
-    targetUser.notifications.push({
+    await notify(targetUser._id, {
       type: 'connection_request',
       from: currentUserId,
       message: `${currentUser.name} wants to connect with you`,
     });
-    await targetUser.save();
 
     res.json({ message: 'Connection request sent' });
   } catch (error) {
@@ -140,44 +1011,63 @@ router.post('/:id/connect', auth, async (req, res) => {
 });
 
 // Accept connection request
-router.post('/:id/accept', auth, async (req, res) => {
+router.post('/:id/accept', auth, requireVerified, async (req, res) => {
   try {
     const requesterId = req.params.id;
-    const currentUserId = req.user._id.toString();
+    const currentUserId = req.user._id;
 
-    const currentUser = await User.findById(currentUserId);
-    const requester = await User.findById(requesterId);
+    if (!mongoose.isValidObjectId(requesterId)) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
 
-    if (!currentUser || !requester) {
-      return res.status(404).json({ message: 'User not found' });
+    if (await isBlocked(currentUserId, requesterId)) {
+      return res.status(403).json({ message: 'Cannot connect with this user' });
     }
 
-    // Remove from connection requests
-    currentUser.connectionRequests = currentUser.connectionRequests.filter(
-      req => req.user.toString() !== requesterId
-    );
-    requester.connectionRequests = requester.connectionRequests.filter(
-      req => req.user.toString() !== currentUserId
-    );
+    const accepted = await withTransaction(async (session) => {
+      // Both sides must still hold the pending request
+      const received = await User.exists({
+        _id: currentUserId,
+        connectionRequests: { $elemMatch: { user: requesterId, type: 'received' } },
+      }).session(session);
+      const sent = await User.exists({
+        _id: requesterId,
+        connectionRequests: { $elemMatch: { user: currentUserId, type: 'sent' } },
+      }).session(session);
 
-    // Add to connections
-    if (!currentUser.connections.includes(requesterId)) {
-      currentUser.connections.push(requesterId);
-    }
-    if (!requester.connections.includes(currentUserId)) {
-      requester.connections.push(currentUserId);
-    }
+      if (!received || !sent) {
+        return false;
+      }
 
-    await currentUser.save();
-    await requester.save();
+      const result = await User.updateOne(
+        { _id: currentUserId, connectionRequests: { $elemMatch: { user: requesterId, type: 'received' } } },
+        { $pull: { connectionRequests: { user: requesterId } }, $addToSet: { connections: requesterId } },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        return false;
+      }
+
+      await User.updateOne(
+        { _id: requesterId },
+        { $pull: { connectionRequests: { user: currentUserId } }, $addToSet: { connections: currentUserId } },
+        { session }
+      );
+
+      return true;
+    });
+
+    if (!accepted) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
 
     // Create notification for requester
-    requester.notifications.push({
+    await notify(requesterId, {
       type: 'connection_accepted',
       from: currentUserId,
-      message: `${currentUser.name} accepted your connection request`,
+      message: `${req.user.name} accepted your connection request`,
     });
-    await requester.save();
 
     res.json({ message: 'Connection accepted' });
   } catch (error) {
@@ -185,5 +1075,197 @@ router.post('/:id/accept', auth, async (req, res) => {
   }
 });
 
+// Remove a pending request from both users in one transaction. Returns false
+// if the current user has no pending request of the given type.
+const removeConnectionRequest = (currentUserId, otherUserId, type) => {
+  const otherType = type === 'received' ? 'sent' : 'received';
+
+  return withTransaction(async (session) => {
+    const result = await User.updateOne(
+      { _id: currentUserId, connectionRequests: { $elemMatch: { user: otherUserId, type } } },
+      { $pull: { connectionRequests: { user: otherUserId } } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    const otherUpdate = { $pull: { connectionRequests: { user: currentUserId, type: otherType } } };
+    // A withdrawn request should no longer show up in the recipient's notifications
+    if (type === 'sent') {
+      otherUpdate.$pull.notifications = { type: 'connection_request', from: currentUserId };
+    }
+    await User.updateOne({ _id: otherUserId }, otherUpdate, { session });
+
+    return true;
+  });
+};
+
+// Decline a received connection request
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    const removed = await removeConnectionRequest(req.user._id, req.params.id, 'received');
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    res.json({ message: 'Connection request declined' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Withdraw a sent connection request
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    const removed = await removeConnectionRequest(req.user._id, req.params.id, 'sent');
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    res.json({ message: 'Connection request withdrawn' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove an existing connection from both users
+router.delete('/:id/connection', auth, async (req, res) => {
+  try {
+    const otherUserId = req.params.id;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.isValidObjectId(otherUserId)) {
+      return res.status(404).json({ message: 'Connection not found' });
+    }
+
+    const removed = await withTransaction(async (session) => {
+      const result = await User.updateOne(
+        { _id: currentUserId, connections: otherUserId },
+        { $pull: { connections: otherUserId } },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        return false;
+      }
+
+      await User.updateOne(
+        { _id: otherUserId },
+        { $pull: { connections: currentUserId } },
+        { session }
+      );
+      await removeEndorsementsBetween(currentUserId, otherUserId, session);
+
+      return true;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Connection not found' });
+    }
+
+    res.json({ message: 'Connection removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Block a user: also removes any connection, pending request or endorsement between the two
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    const otherUserId = req.params.id;
+    const currentUserId = req.user._id;
+
+    if (otherUserId === currentUserId.toString()) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
+    }
+
+    if (!mongoose.isValidObjectId(otherUserId) || !(await User.exists({ _id: otherUserId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await withTransaction(async (session) => {
+      await User.updateOne(
+        { _id: currentUserId },
+        {
+          $addToSet: { blockedUsers: otherUserId },
+          $pull: { connections: otherUserId, connectionRequests: { user: otherUserId } },
+        },
+        { session }
+      );
+      await User.updateOne(
+        { _id: otherUserId },
+        { $pull: { connections: currentUserId, connectionRequests: { user: currentUserId } } },
+        { session }
+      );
+      await removeEndorsementsBetween(currentUserId, otherUserId, session);
+    });
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.id } });
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mute a user (hides their posts from your feed only)
+router.post('/:id/mute', auth, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot mute yourself' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { mutedUsers: req.params.id } });
+
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unmute a user
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { mutedUsers: req.params.id } });
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
 
@@ -16,6 +16,7 @@ async function main() {
       name: 'Alice Johnson',
       email: 'alice@example.com',
       password: 'password123',
+      emailVerified: true,
       profilePicture: '',
       bio: 'Frontend engineer passionate about building accessible web apps. Loves mentoring and community events.',
       experience: [
@@ -30,6 +31,8 @@ async function main() {
       name: 'Bob Smith',
       email: 'bob@example.com',
       password: 'password123',
+      role: 'recruiter',
+      emailVerified: true,
       profilePicture: '',
       bio: 'Recruiter at BetaTech. I love connecting talented engineers with great teams.',
       experience: [
@@ -44,6 +47,7 @@ async function main() {
       name: 'Carol Lee',
       email: 'carol@example.com',
       password: 'password123',
+      emailVerified: true,
       profilePicture: '',
       bio: 'Product manager with a background in design and analytics. Passionate about user-centered products.',
       experience: [
@@ -5,10 +5,11 @@ const dotenv = require('dotenv');
 const path = require('path');
 const http = require('http');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
-const User = require('./models/User');
 const Conversation = require('./models/Conversation');
 const Message = require('./models/Message');
+const { verifyAccessToken } = require('./utils/sessions');
+const { isBlocked } = require('./utils/blocking');
+const { validateMailConfig } = require('./utils/mailer');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '.env') });
@@ -21,8 +22,21 @@ if (process.env.MONGODB_URI) {
   console.log('⚠️  Warning: MONGODB_URI not found in .env file');
 }
 
+// Refuse to start with a mail setup that would leak tokens in production
+try {
+  validateMailConfig();
+} catch (error) {
+  console.error('❌ Invalid email configuration:', error.message);
+  process.exit(1);
+}
+
 const app = express();
 
+// Trust the first proxy (e.g. Render) so req.ip is the client address
+if (process.env.TRUST_PROXY !== 'false' && process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -141,9 +155,11 @@ app.use('/api', (req, res, next) => {
 // Routes (after MongoDB check middleware)
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/posts', require('./routes/posts'));
+app.use('/api/users', require('./routes/recommendations'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/trending', require('./routes/trending'));
 app.use('/api/chat', require('./routes/chat'));
 
 // Create HTTP server
@@ -158,6 +174,9 @@ const io = new Server(server, {
   },
 });
 
+// Make io available to route handlers
+app.set('io', io);
+
 // Socket.io authentication middleware
 io.use(async (socket, next) => {
   try {
@@ -167,15 +186,16 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.id).select('-password');
+    // Rejects tokens whose session was revoked or has expired
+    const result = await verifyAccessToken(token);
 
-    if (!user) {
-      return next(new Error('Authentication error: User not found'));
+    if (!result) {
+      return next(new Error('Authentication error: Session is not valid'));
     }
 
-    socket.userId = user._id.toString();
-    socket.user = user;
+    socket.userId = result.user._id.toString();
+    socket.user = result.user;
+    socket.sessionId = result.session._id.toString();
     next();
   } catch (error) {
     next(new Error('Authentication error: Invalid token'));
@@ -201,6 +221,9 @@ io.on('connection', (socket) => {
   // Join user's personal room
   socket.join(`user-${socket.userId}`);
 
+  // Join session room so revoking the session can drop this socket
+  socket.join(`session-${socket.sessionId}`);
+
   // Handle joining conversation room
   socket.on('join-conversation', (conversationId) => {
     socket.join(`conversation-${conversationId}`);
@@ -218,6 +241,10 @@ io.on('connection', (socket) => {
     try {
       const { conversationId, text, receiverId } = data;
 
+      if (!socket.user.emailVerified) {
+        return socket.emit('error', { message: 'Please verify your email address to send messages' });
+      }
+
       if (!text || !text.trim()) {
         return socket.emit('error', { message: 'Message text is required' });
       }
@@ -228,6 +255,13 @@ io.on('connection', (socket) => {
         return socket.emit('error', { message: 'Conversation not found or access denied' });
       }
 
+      const otherParticipant = conversation.participants.find(
+        p => p.toString() !== socket.userId
+      );
+      if (await isBlocked(socket.userId, otherParticipant)) {
+        return socket.emit('error', { message: 'You cannot message this user' });
+      }
+
       // Create message
       const message = new Message({
         conversation: conversationId,
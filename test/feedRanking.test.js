@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_WEIGHTS,
+  getFeedWeights,
+  withoutHiddenEngagement,
+  scorePost,
+  compareRanked,
+} = require('../utils/feedRanking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR_MS);
+
+const VIEWER = 'a'.repeat(24);
+const FRIEND = 'b'.repeat(24);
+const FRIEND_2 = 'c'.repeat(24);
+const STRANGER = 'd'.repeat(24);
+
+const context = {
+  viewerId: VIEWER,
+  connectionIds: new Set([FRIEND, FRIEND_2]),
+  followedHashtags: new Set(['nodejs']),
+};
+
+const post = (fields) => ({ createdAt: NOW, hashtags: [], reactors: [], commenters: [], ...fields });
+
+test('scorePost gives each reason its affinity weight', () => {
+  const cases = [
+    [post({ user: VIEWER }), 'own', DEFAULT_WEIGHTS.own],
+    [post({ user: FRIEND }), 'connection', DEFAULT_WEIGHTS.connection],
+    [post({ user: STRANGER, hashtags: ['nodejs'] }), 'followed_hashtag', DEFAULT_WEIGHTS.hashtag],
+    [post({ user: STRANGER }), 'other', DEFAULT_WEIGHTS.other],
+  ];
+
+  cases.forEach(([input, reason, affinity]) => {
+    const result = scorePost(input, context, DEFAULT_WEIGHTS, NOW);
+    assert.equal(result.reason, reason);
+    assert.equal(result.score, affinity);
+  });
+});
+
+test('scorePost boosts posts that connections engaged with', () => {
+  const result = scorePost(
+    post({
+      user: STRANGER,
+      reactors: [FRIEND, STRANGER],
+      commenters: [{ user: FRIEND_2, createdAt: hoursAgo(48) }],
+    }),
+    context,
+    DEFAULT_WEIGHTS,
+    NOW
+  );
+
+  // Two engaged connections, two reactions and one old comment
+  const affinity = DEFAULT_WEIGHTS.other + DEFAULT_WEIGHTS.secondDegree * Math.log2(3);
+  const engagement = 2 * DEFAULT_WEIGHTS.reaction + DEFAULT_WEIGHTS.comment;
+  assert.equal(result.reason, 'connection_engaged');
+  assert.deepEqual(result.engagedConnectionIds, [FRIEND, FRIEND_2]);
+  assert.equal(result.score, affinity + Math.log2(1 + engagement));
+});
+
+test('scorePost counts recent comments extra', () => {
+  const recent = scorePost(
+    post({ user: STRANGER, commenters: [{ user: STRANGER, createdAt: hoursAgo(1) }] }),
+    context,
+    DEFAULT_WEIGHTS,
+    NOW
+  );
+  const old = scorePost(
+    post({ user: STRANGER, commenters: [{ user: STRANGER, createdAt: hoursAgo(25) }] }),
+    context,
+    DEFAULT_WEIGHTS,
+    NOW
+  );
+
+  assert.equal(recent.score, DEFAULT_WEIGHTS.other + Math.log2(1 + DEFAULT_WEIGHTS.comment + DEFAULT_WEIGHTS.recentComment));
+  assert.equal(old.score, DEFAULT_WEIGHTS.other + Math.log2(1 + DEFAULT_WEIGHTS.comment));
+});
+
+test('withoutHiddenEngagement drops reactions and comments from hidden users', () => {
+  const hidden = new Set([FRIEND_2, STRANGER]);
+  const input = post({
+    user: FRIEND,
+    reactors: [FRIEND_2, STRANGER, VIEWER],
+    commenters: [{ user: STRANGER, createdAt: hoursAgo(1) }, { user: FRIEND_2, createdAt: hoursAgo(1) }],
+  });
+
+  const visible = withoutHiddenEngagement(input, hidden);
+  assert.deepEqual(visible.reactors, [VIEWER]);
+  assert.deepEqual(visible.commenters, []);
+
+  const result = scorePost(visible, context, DEFAULT_WEIGHTS, NOW);
+  assert.deepEqual(result.engagedConnectionIds, []);
+  assert.equal(result.score, DEFAULT_WEIGHTS.connection + Math.log2(1 + DEFAULT_WEIGHTS.reaction));
+});
+
+test('scorePost halves the score every halfLifeHours', () => {
+  const fresh = scorePost(post({ user: FRIEND }), context, DEFAULT_WEIGHTS, NOW);
+  const aged = scorePost(post({ user: FRIEND, createdAt: hoursAgo(DEFAULT_WEIGHTS.halfLifeHours) }), context, DEFAULT_WEIGHTS, NOW);
+
+  assert.equal(aged.score, fresh.score / 2);
+});
+
+test('scorePost is deterministic for a fixed now', () => {
+  const input = post({ user: FRIEND, reactors: [FRIEND_2], createdAt: hoursAgo(5) });
+
+  assert.deepEqual(
+    scorePost(input, context, DEFAULT_WEIGHTS, NOW),
+    scorePost(input, context, DEFAULT_WEIGHTS, NOW)
+  );
+});
+
+test('compareRanked sorts by score, then newest, then highest id', () => {
+  const ranked = [
+    { _id: '1', score: 1, createdAt: hoursAgo(1) },
+    { _id: '2', score: 2, createdAt: hoursAgo(3) },
+    { _id: '3', score: 1, createdAt: hoursAgo(2) },
+    { _id: '4', score: 1, createdAt: hoursAgo(1) },
+  ].sort(compareRanked);
+
+  assert.deepEqual(ranked.map(item => item._id), ['2', '4', '1', '3']);
+});
+
+test('getFeedWeights applies valid environment overrides only', () => {
+  const weights = getFeedWeights({
+    FEED_WEIGHT_CONNECTION: '6',
+    FEED_HALF_LIFE_HOURS: '0',
+    FEED_WEIGHT_OWN: '-1',
+    FEED_WEIGHT_OTHER: 'not a number',
+  });
+
+  assert.equal(weights.connection, 6);
+  assert.equal(weights.halfLifeHours, 0);
+  assert.equal(weights.own, DEFAULT_WEIGHTS.own);
+  assert.equal(weights.other, DEFAULT_WEIGHTS.other);
+  assert.deepEqual(getFeedWeights({}), DEFAULT_WEIGHTS);
+});
+
+test('getFeedWeights overrides change the score', () => {
+  const weights = getFeedWeights({ FEED_WEIGHT_CONNECTION: '10', FEED_HALF_LIFE_HOURS: '0' });
+  const result = scorePost(post({ user: FRIEND, createdAt: hoursAgo(100) }), context, weights, NOW);
+
+  // A half-life of 0 turns decay off
+  assert.equal(result.score, 10);
+});
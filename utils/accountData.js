@@ -0,0 +1,231 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const Endorsement = require('../models/Endorsement');
+const Recommendation = require('../models/Recommendation');
+const ProfileView = require('../models/ProfileView');
+const HandleRedirect = require('../models/HandleRedirect');
+const { removeUpload, removeImageSet } = require('./images');
+const { clearAccountFailures } = require('./loginThrottle');
+
+const REACTION_TYPES = ['like', 'love', 'laugh', 'cry', 'wow', 'angry'];
+
+// Collect everything stored about a user into a single JSON-serializable archive
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select('-password')
+    .populate('connections', 'name')
+    .populate('connectionRequests.user', 'name')
+    .lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const { notifications, ...profile } = user;
+
+  const posts = await Post.find({ user: userId }).sort({ createdAt: -1 }).lean();
+
+  const commentedPosts = await Post.find({ 'comments.user': userId })
+    .select('comments user')
+    .lean();
+  const comments = commentedPosts.flatMap(post =>
+    post.comments
+      .filter(comment => comment.user.toString() === userId.toString())
+      .map(comment => ({
+        _id: comment._id,
+        post: post._id,
+        parent: comment.parent || null,
+        text: comment.text,
+        edited: Boolean(comment.edited),
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+      }))
+  );
+
+  const reactionQuery = REACTION_TYPES.map(type => ({ [`reactions.${type}`]: userId }));
+  const reactedPosts = await Post.find({ $or: reactionQuery }).select('reactions').lean();
+  const reactions = reactedPosts.map(post => ({
+    post: post._id,
+    type: REACTION_TYPES.find(type =>
+      (post.reactions?.[type] || []).some(id => id.toString() === userId.toString())
+    ),
+  }));
+
+  const commentReactionQuery = REACTION_TYPES.map(type => ({ [`comments.reactions.${type}`]: userId }));
+  const commentReactedPosts = await Post.find({ $or: commentReactionQuery }).select('comments').lean();
+  const commentReactions = commentReactedPosts.flatMap(post =>
+    post.comments
+      .map(comment => ({
+        post: post._id,
+        comment: comment._id,
+        type: REACTION_TYPES.find(type =>
+          (comment.reactions?.[type] || []).some(id => id.toString() === userId.toString())
+        ),
+      }))
+      .filter(reaction => reaction.type)
+  );
+
+  const conversations = await Conversation.find({ participants: userId })
+    .populate('participants', 'name')
+    .lean();
+  const messages = await Message.find({ conversation: { $in: conversations.map(c => c._id) } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const endorsementsReceived = await Endorsement.find({ user: userId })
+    .select('skill endorser createdAt')
+    .lean();
+  const endorsementsGiven = await Endorsement.find({ endorser: userId })
+    .select('skill user createdAt')
+    .lean();
+
+  const recommendationsReceived = await Recommendation.find({ recipient: userId }).lean();
+  const recommendationsGiven = await Recommendation.find({ author: userId }).lean();
+
+  // Views of other profiles, plus non-anonymous views of this one
+  const profileViewsMade = await ProfileView.find({ viewer: userId })
+    .select('profile day anonymous viewCount lastViewedAt')
+    .lean();
+  const profileViewsReceived = await ProfileView.find({ profile: userId, anonymous: false })
+    .select('viewer day viewCount lastViewedAt')
+    .lean();
+
+  const sessions = await Session.find({ user: userId })
+    .select('userAgent ip createdAt lastUsedAt expiresAt revokedAt revokedReason')
+    .lean();
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    posts,
+    comments,
+    reactions,
+    commentReactions,
+    conversations: conversations.map(conversation => ({
+      _id: conversation._id,
+      participants: conversation.participants,
+      createdAt: conversation.createdAt,
+    })),
+    messages,
+    notifications,
+    endorsements: {
+      received: endorsementsReceived,
+      given: endorsementsGiven,
+    },
+    recommendations: {
+      received: recommendationsReceived,
+      given: recommendationsGiven,
+    },
+    profileViews: {
+      made: profileViewsMade,
+      received: profileViewsReceived,
+    },
+    sessions,
+  };
+};
+
+// Permanently delete a user and everything that references them. Other
+// users' documents are cleaned up so no dangling references remain.
+const deleteUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return false;
+  }
+
+  // Sign out every device first so nothing can write while we clean up
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'account_deleted' }
+  );
+
+  // Posts written by the user, including their images
+  const posts = await Post.find({ user: userId }).select('image');
+  posts.forEach(post => removeUpload(post.image));
+  const postIds = posts.map(post => post._id);
+  await Post.deleteMany({ user: userId });
+
+  // Comments and reactions left on other users' posts
+  const pullReactions = { likes: userId };
+  REACTION_TYPES.forEach(type => {
+    pullReactions[`reactions.${type}`] = userId;
+  });
+  await Post.updateMany(
+    {
+      $or: [
+        { 'comments.user': userId },
+        { likes: userId },
+        ...REACTION_TYPES.map(type => ({ [`reactions.${type}`]: userId })),
+      ],
+    },
+    { $pull: { comments: { user: userId }, ...pullReactions } }
+  );
+
+  // Mentions of and reactions by the user on the remaining comments, and
+  // mentions in other users' posts. Replies to the user's removed comments stay
+  // and are shown at the top level.
+  const pullFromComments = { mentions: userId, 'comments.$[].mentions': userId };
+  REACTION_TYPES.forEach(type => {
+    pullFromComments[`comments.$[].reactions.${type}`] = userId;
+  });
+  await Post.updateMany(
+    {
+      $or: [
+        { mentions: userId },
+        { 'comments.mentions': userId },
+        ...REACTION_TYPES.map(type => ({ [`comments.reactions.${type}`]: userId })),
+      ],
+    },
+    { $pull: pullFromComments }
+  );
+
+  // Connections, pending requests, block/mute lists and notifications on other
+  // users. Only users that reference the deleted account are touched.
+  await User.updateMany(
+    {
+      _id: { $ne: userId },
+      $or: [
+        { connections: userId },
+        { 'connectionRequests.user': userId },
+        { blockedUsers: userId },
+        { mutedUsers: userId },
+        { 'notifications.from': userId },
+        { 'notifications.post': { $in: postIds } },
+      ],
+    },
+    {
+      $pull: {
+        connections: userId,
+        connectionRequests: { user: userId },
+        blockedUsers: userId,
+        mutedUsers: userId,
+        notifications: { $or: [{ from: userId }, { post: { $in: postIds } }] },
+      },
+    }
+  );
+
+  // Conversations are one-to-one, so they are removed with all their messages
+  const conversations = await Conversation.find({ participants: userId }).select('_id');
+  const conversationIds = conversations.map(conversation => conversation._id);
+  await Message.deleteMany({ $or: [{ conversation: { $in: conversationIds } }, { sender: userId }] });
+  await Conversation.deleteMany({ _id: { $in: conversationIds } });
+
+  await Endorsement.deleteMany({ $or: [{ user: userId }, { endorser: userId }] });
+  await Recommendation.deleteMany({ $or: [{ recipient: userId }, { author: userId }] });
+  await ProfileView.deleteMany({ $or: [{ profile: userId }, { viewer: userId }] });
+  await HandleRedirect.deleteMany({ user: userId });
+  await AuthToken.deleteMany({ user: userId });
+  await clearAccountFailures(user.email);
+
+  removeImageSet(user.profilePicture, user.profilePictureSizes);
+  removeImageSet(user.bannerImage, user.bannerImageSizes);
+  await Session.deleteMany({ user: userId });
+  await user.deleteOne();
+
+  return true;
+};
+
+module.exports = { exportUserData, deleteUserData };
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+
+// True if either user has blocked the other
+const isBlocked = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) return false;
+  const blocked = await User.exists({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+  return Boolean(blocked);
+};
+
+// Ids of everyone the user has blocked or been blocked by
+const getBlockedIds = async (userId) => {
+  if (!userId) return [];
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blockedUsers').lean(),
+    User.find({ blockedUsers: userId }).select('_id').lean(),
+  ]);
+  return [
+    ...(user?.blockedUsers || []),
+    ...blockedBy.map(other => other._id),
+  ];
+};
+
+// Ids whose content should be hidden from the user's feed: blocked either way, plus muted
+const getHiddenAuthorIds = async (userId) => {
+  if (!userId) return [];
+  const [blockedIds, user] = await Promise.all([
+    getBlockedIds(userId),
+    User.findById(userId).select('mutedUsers').lean(),
+  ]);
+  return [...blockedIds, ...(user?.mutedUsers || [])];
+};
+
+// Ids of authors whose activity the viewer may not see: activity set to
+// only_me, or to connections when the viewer is not one of them. Works for
+// signed-out viewers too (viewerId null).
+const getPrivateActivityIds = async (viewerId) => {
+  const viewer = viewerId ? await User.findById(viewerId).select('connections').lean() : null;
+  const authors = await User.find({
+    _id: { $ne: viewerId || null },
+    $or: [
+      { 'privacy.activity': 'only_me' },
+      { 'privacy.activity': 'connections', _id: { $nin: viewer?.connections || [] } },
+    ],
+  }).select('_id').lean();
+  return authors.map(author => author._id);
+};
+
+module.exports = { isBlocked, getBlockedIds, getHiddenAuthorIds, getPrivateActivityIds };
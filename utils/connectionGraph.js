@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getBlockedIds } = require('./blocking');
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+// Connection ids of the given users, merged. Only the connections field is
+// read, so no profile data is loaded while walking the graph.
+const getConnectionIds = async (userIds) => {
+  if (userIds.length === 0) return [];
+  const users = await User.find({ _id: { $in: userIds } }).select('connections').lean();
+  return users.flatMap(user => user.connections || []);
+};
+
+// Ids not yet seen, deduplicated; marks them as seen
+const takeUnseen = (ids, seen) => ids.filter(id => {
+  const key = id.toString();
+  if (seen.has(key)) return false;
+  seen.add(key);
+  return true;
+});
+
+// First- and second-degree connections of a user, walked one level at a time.
+// Returns ObjectId arrays; neither contains the user themselves.
+const getNetwork = async (userId) => {
+  const id = toObjectId(userId);
+  const seen = new Set([id.toString()]);
+
+  const firstDegreeIds = takeUnseen(await getConnectionIds([id]), seen);
+  const secondDegreeIds = takeUnseen(await getConnectionIds(firstDegreeIds), seen);
+
+  return { firstDegreeIds, secondDegreeIds };
+};
+
+// Degree of separation between two users: 0 for self, 1-3 for connections up
+// to three hops away, null when further apart or not connected at all.
+// Walks from both ends so at most one level of the graph is expanded.
+const getConnectionDegree = async (viewerId, targetId) => {
+  const viewer = toObjectId(viewerId);
+  const target = toObjectId(targetId);
+
+  if (viewer.equals(target)) {
+    return 0;
+  }
+
+  const [viewerConnections, targetConnections] = await Promise.all([
+    getConnectionIds([viewer]),
+    getConnectionIds([target]),
+  ]);
+  const targetSet = new Set(targetConnections.map(id => id.toString()));
+
+  if (viewerConnections.some(id => id.equals(target))) {
+    return 1;
+  }
+  if (viewerConnections.some(id => targetSet.has(id.toString()))) {
+    return 2;
+  }
+
+  // Three hops: one of the viewer's second-degree connections knows the target
+  const secondDegree = await getConnectionIds(viewerConnections);
+  return secondDegree.some(id => targetSet.has(id.toString()) && !id.equals(viewer)) ? 3 : null;
+};
+
+// Users connected to both viewer and target
+const getMutualConnections = async (viewerId, targetId, { limit = 10 } = {}) => {
+  const [viewer, target] = await Promise.all([
+    User.findById(viewerId).select('connections').lean(),
+    User.findById(targetId).select('connections').lean(),
+  ]);
+
+  if (!viewer || !target) {
+    return { count: 0, users: [] };
+  }
+
+  const targetConnections = new Set((target.connections || []).map(id => id.toString()));
+  const mutualIds = (viewer.connections || []).filter(id => targetConnections.has(id.toString()));
+
+  // A limit of 0 only counts, without loading any users
+  const users = limit > 0
+    ? await User.find({ _id: { $in: mutualIds } })
+      .select('name profilePicture')
+      .sort({ name: 1 })
+      .limit(limit)
+      .lean()
+    : [];
+
+  return { count: mutualIds.length, users };
+};
+
+// Mutual-connection counts between the viewer and many users at once
+const getMutualCounts = async (viewerId, userIds) => {
+  if (userIds.length === 0) return new Map();
+
+  const viewer = await User.findById(viewerId).select('connections').lean();
+  const results = await User.aggregate([
+    { $match: { _id: { $in: userIds.map(toObjectId) } } },
+    {
+      $project: {
+        count: {
+          $size: { $setIntersection: [{ $ifNull: ['$connections', []] }, viewer?.connections || []] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.count]));
+};
+
+// Second-degree connections ranked by how many connections they share with the
+// user. Excludes blocked users and anyone with a pending request either way.
+const getPeopleYouMayKnow = async (userId, { limit = 10 } = {}) => {
+  const id = toObjectId(userId);
+  const [user, blockedIds] = await Promise.all([
+    User.findById(id).select('connections connectionRequests').lean(),
+    getBlockedIds(id),
+  ]);
+
+  if (!user) {
+    return [];
+  }
+
+  const excluded = [
+    id,
+    ...(user.connections || []),
+    ...(user.connectionRequests || []).map(request => request.user),
+    ...blockedIds,
+  ];
+
+  const results = await User.aggregate([
+    { $match: { _id: { $in: user.connections || [] } } },
+    { $project: { connections: 1 } },
+    { $unwind: '$connections' },
+    { $match: { connections: { $nin: excluded } } },
+    { $group: { _id: '$connections', mutualCount: { $sum: 1 } } },
+    { $sort: { mutualCount: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user',
+      },
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        mutualCount: 1,
+        'user._id': 1,
+        'user.name': 1,
+        'user.profilePicture': 1,
+        'user.experience': 1,
+        'user.privacy': 1,
+      },
+    },
+  ]);
+
+  return results.map(({ user: candidate, mutualCount }) => {
+    const experienceVisible = [undefined, null, 'public'].includes(candidate.privacy?.experience);
+    const current = experienceVisible ? (candidate.experience || []).find(exp => exp.current) : null;
+    return {
+      _id: candidate._id,
+      name: candidate.name,
+      profilePicture: candidate.profilePicture,
+      currentPosition: current ? { title: current.title, company: current.company } : null,
+      mutualCount,
+      degree: 2,
+    };
+  });
+};
+
+module.exports = {
+  getNetwork,
+  getConnectionDegree,
+  getMutualConnections,
+  getMutualCounts,
+  getPeopleYouMayKnow,
+};
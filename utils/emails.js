@@ -0,0 +1,42 @@
+const { sendMail } = require('./mailer');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${getFrontendUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Careerly email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>This link expires in 24 hours.</p>`,
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${getFrontendUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Careerly password',
+    text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open the link below to choose a new password:\n${link}\n\nThis link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your account. Open the link below to choose a new password:</p><p><a href="${link}">${link}</a></p><p>This link expires in 1 hour. If you did not request this, you can ignore this email.</p>`,
+  });
+};
+
+const sendAccountLockedEmail = (user, token, lockedUntil) => {
+  const link = `${getFrontendUrl()}/unlock-account?token=${token}`;
+  const until = lockedUntil.toISOString();
+  return sendMail({
+    to: user.email,
+    subject: 'Your Careerly account has been temporarily locked',
+    text: `Hi ${user.name},\n\nWe locked your account until ${until} after several failed sign-in attempts. If this was you, open the link below to unlock it now:\n${link}\n\nIf this was not you, we recommend resetting your password.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We locked your account until ${until} after several failed sign-in attempts. If this was you, open the link below to unlock it now:</p><p><a href="${link}">${link}</a></p><p>If this was not you, we recommend resetting your password.</p>`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail };
@@ -0,0 +1,72 @@
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+
+const MAX_PINNED_SKILLS = 3;
+const TOP_ENDORSERS = 3;
+
+// Skills with endorsement counts, ordered pinned first, then by count, then by
+// the user's own ordering. endorsedByViewer tells the client which to toggle.
+const getSkillSummary = async (user, viewerId) => {
+  const skills = user.skills || [];
+  if (skills.length === 0) {
+    return [];
+  }
+
+  const counts = await Endorsement.aggregate([
+    { $match: { user: user._id } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$skillKey',
+        count: { $sum: 1 },
+        endorsers: { $push: '$endorser' },
+      },
+    },
+  ]);
+  const bySkill = new Map(counts.map(entry => [entry._id, entry]));
+
+  const pinned = (user.pinnedSkills || []).map(Endorsement.toSkillKey);
+  const viewer = viewerId ? viewerId.toString() : null;
+
+  // Name and picture of the most recent endorsers of each skill
+  const endorserIds = counts.flatMap(entry => entry.endorsers.slice(0, TOP_ENDORSERS));
+  const endorsers = await User.find({ _id: { $in: endorserIds } }).select('name profilePicture').lean();
+  const endorserById = new Map(endorsers.map(endorser => [endorser._id.toString(), endorser]));
+
+  return skills
+    .map((name, position) => {
+      const key = Endorsement.toSkillKey(name);
+      const entry = bySkill.get(key);
+      return {
+        name,
+        pinned: pinned.includes(key),
+        endorsementCount: entry?.count || 0,
+        endorsedByViewer: Boolean(viewer && entry?.endorsers.some(id => id.toString() === viewer)),
+        topEndorsers: (entry?.endorsers || [])
+          .slice(0, TOP_ENDORSERS)
+          .map(id => endorserById.get(id.toString()))
+          .filter(Boolean),
+        position,
+      };
+    })
+    .sort((a, b) => (
+      (b.pinned - a.pinned) ||
+      (b.endorsementCount - a.endorsementCount) ||
+      (a.position - b.position)
+    ))
+    .map(({ position, ...skill }) => skill);
+};
+
+// Endorsements are only given between connections, so they are withdrawn in
+// both directions when two users disconnect or one blocks the other
+const removeEndorsementsBetween = (userId, otherUserId, session) => Endorsement.deleteMany(
+  {
+    $or: [
+      { user: userId, endorser: otherUserId },
+      { user: otherUserId, endorser: userId },
+    ],
+  },
+  { session }
+);
+
+module.exports = { MAX_PINNED_SKILLS, getSkillSummary, removeEndorsementsBetween };
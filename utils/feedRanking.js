@@ -0,0 +1,114 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ranking weights. Every score is a pure function of a post, the viewer's
+// context, the weights and a reference time, so rankings are reproducible.
+const DEFAULT_WEIGHTS = {
+  own: 1,                  // the viewer's own posts
+  connection: 4,           // posts by a first-degree connection
+  secondDegree: 2,         // per connection who reacted or commented (log-scaled)
+  hashtag: 2,              // posts tagged with a hashtag the viewer follows
+  other: 0.5,              // posts with no link to the viewer
+  reaction: 1,             // per reaction
+  comment: 2,              // per comment
+  recentComment: 3,        // extra per comment within recentHours
+  recentHours: 24,
+  halfLifeHours: 24,       // score halves for every halfLifeHours of age
+  maxAgeDays: 14,          // older posts are not ranked at all
+};
+
+const ENV_WEIGHTS = {
+  own: 'FEED_WEIGHT_OWN',
+  connection: 'FEED_WEIGHT_CONNECTION',
+  secondDegree: 'FEED_WEIGHT_SECOND_DEGREE',
+  hashtag: 'FEED_WEIGHT_HASHTAG',
+  other: 'FEED_WEIGHT_OTHER',
+  reaction: 'FEED_WEIGHT_REACTION',
+  comment: 'FEED_WEIGHT_COMMENT',
+  recentComment: 'FEED_WEIGHT_RECENT_COMMENT',
+  halfLifeHours: 'FEED_HALF_LIFE_HOURS',
+  maxAgeDays: 'FEED_MAX_AGE_DAYS',
+};
+
+// DEFAULT_WEIGHTS with any FEED_* environment overrides applied
+const getFeedWeights = (env = process.env) => {
+  const weights = { ...DEFAULT_WEIGHTS };
+  Object.entries(ENV_WEIGHTS).forEach(([key, name]) => {
+    const value = parseFloat(env[name]);
+    if (Number.isFinite(value) && value >= 0) {
+      weights[key] = value;
+    }
+  });
+  return weights;
+};
+
+// The post with reactions and comments from hidden (blocked or muted) users
+// removed, so they add nothing to its score. hiddenIds is a Set of id strings.
+const withoutHiddenEngagement = (post, hiddenIds) => ({
+  ...post,
+  reactors: (post.reactors || []).filter(id => !hiddenIds.has(id.toString())),
+  commenters: (post.commenters || []).filter(comment => !hiddenIds.has(comment.user.toString())),
+});
+
+// Score one post for a viewer.
+// post: { user, createdAt, hashtags, reactors: [userId], commenters: [{ user, createdAt }] }
+// context: { viewerId, connectionIds: Set of id strings, followedHashtags: Set }
+// Returns { score, reason, engagedConnectionIds, matchedHashtags }.
+const scorePost = (post, context, weights = DEFAULT_WEIGHTS, now = new Date()) => {
+  const authorId = post.user.toString();
+  const reactors = post.reactors || [];
+  const commenters = post.commenters || [];
+
+  const engaged = new Set(
+    [...reactors, ...commenters.map(comment => comment.user)]
+      .map(id => id.toString())
+      .filter(id => id !== authorId && context.connectionIds.has(id))
+  );
+  const engagedConnectionIds = [...engaged].sort();
+  const followed = context.followedHashtags || new Set();
+  const matchedHashtags = (post.hashtags || []).filter(tag => followed.has(tag));
+
+  let affinity = weights.other;
+  let reason = 'other';
+  if (context.viewerId && authorId === context.viewerId.toString()) {
+    affinity = weights.own;
+    reason = 'own';
+  } else if (context.connectionIds.has(authorId)) {
+    affinity = weights.connection;
+    reason = 'connection';
+  } else if (matchedHashtags.length > 0) {
+    affinity = weights.hashtag;
+    reason = 'followed_hashtag';
+  } else if (engaged.size > 0) {
+    reason = 'connection_engaged';
+  }
+  affinity += weights.secondDegree * Math.log2(1 + engaged.size);
+
+  const recentSince = now.getTime() - weights.recentHours * HOUR_MS;
+  const recentComments = commenters.filter(comment => new Date(comment.createdAt).getTime() >= recentSince).length;
+  const engagement = weights.reaction * reactors.length
+    + weights.comment * commenters.length
+    + weights.recentComment * recentComments;
+
+  const ageHours = Math.max(now.getTime() - new Date(post.createdAt).getTime(), 0) / HOUR_MS;
+  const decay = weights.halfLifeHours > 0 ? 0.5 ** (ageHours / weights.halfLifeHours) : 1;
+
+  return {
+    score: (affinity + Math.log2(1 + engagement)) * decay,
+    reason,
+    engagedConnectionIds,
+    matchedHashtags,
+  };
+};
+
+// Sort scored posts best first; ties go to the newer post, then the higher id
+const compareRanked = (a, b) => (b.score - a.score)
+  || (new Date(b.createdAt) - new Date(a.createdAt))
+  || b._id.toString().localeCompare(a._id.toString());
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  getFeedWeights,
+  withoutHiddenEngagement,
+  scorePost,
+  compareRanked,
+};
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const HandleRedirect = require('../models/HandleRedirect');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+
+// Letters, digits and single hyphens; must start with a letter and not end with a hyphen
+const HANDLE_PATTERN = /^[a-z](?:[a-z0-9]|-(?=[a-z0-9]))*$/i;
+
+// Words that would be confusing or misleading as someone's handle
+const RESERVED_HANDLES = new Set([
+  'about', 'admin', 'administrator', 'api', 'app', 'auth', 'blog', 'by-handle',
+  'careerly', 'chat', 'connections', 'contact', 'dashboard', 'explore', 'feed',
+  'help', 'home', 'jobs', 'login', 'logout', 'me', 'messages', 'moderator',
+  'network', 'news', 'notifications', 'null', 'posts', 'privacy', 'profile',
+  'recruiter', 'register', 'root', 'search', 'security', 'settings', 'signin',
+  'signup', 'staff', 'suggestions', 'support', 'system', 'terms', 'trending',
+  'undefined', 'uploads', 'users', 'www',
+]);
+
+const getChangeIntervalMs = () => (parseInt(process.env.HANDLE_CHANGE_INTERVAL_DAYS, 10) || 30) * DAY_MS;
+const getRedirectTtlMs = () => (parseInt(process.env.HANDLE_REDIRECT_DAYS, 10) || 90) * DAY_MS;
+
+const toHandleKey = (handle) => String(handle).trim().toLowerCase();
+
+// Returns an error message, or null when the handle is well-formed and not reserved
+const validateHandle = (handle) => {
+  if (typeof handle !== 'string' || !handle.trim()) return 'is required';
+  const value = handle.trim();
+  if (value.length < MIN_LENGTH || value.length > MAX_LENGTH) {
+    return `must be ${MIN_LENGTH}-${MAX_LENGTH} characters`;
+  }
+  if (!HANDLE_PATTERN.test(value)) {
+    return 'may only contain letters, numbers and single hyphens, and must start with a letter';
+  }
+  if (RESERVED_HANDLES.has(value.toLowerCase())) return 'is reserved';
+  return null;
+};
+
+// Whether userId may claim the handle: not held by anyone else and not in
+// another user's redirect grace period
+const isHandleAvailable = async (handle, userId) => {
+  const handleKey = toHandleKey(handle);
+  const [holder, redirect] = await Promise.all([
+    User.findOne({ handleKey }).select('_id').lean(),
+    HandleRedirect.findOne({ handleKey, expiresAt: { $gt: new Date() } }).select('user').lean(),
+  ]);
+
+  const isOther = (id) => id && (!userId || id.toString() !== userId.toString());
+  return !isOther(holder?._id) && !isOther(redirect?.user);
+};
+
+// When the user may next claim, change or give up a handle, or null if they
+// may now. The limit counts from the last change of any kind, so giving a
+// handle up and claiming another does not get around it.
+const getNextChangeAt = (user) => {
+  if (!user.handleChangedAt) return null;
+  const next = new Date(user.handleChangedAt.getTime() + getChangeIntervalMs());
+  return next > new Date() ? next : null;
+};
+
+// Set or clear (handle = null) a user's handle. The previous handle keeps
+// redirecting to the user for the grace period. Call isHandleAvailable and
+// getNextChangeAt first; a lost race surfaces as a duplicate key error.
+const setHandle = async (user, handle) => {
+  const previous = user.handle;
+  const previousKey = user.handleKey;
+  const handleKey = handle ? toHandleKey(handle) : null;
+
+  user.handle = handle ? handle.trim() : undefined;
+  user.handleKey = handleKey || undefined;
+  if (handleKey !== previousKey) {
+    user.handleChangedAt = new Date();
+  }
+  await user.save();
+
+  // Reclaiming one of your own old handles ends its redirect
+  if (handleKey) {
+    await HandleRedirect.deleteOne({ handleKey, user: user._id });
+  }
+
+  let redirectExpiresAt = null;
+  if (previousKey && previousKey !== handleKey) {
+    redirectExpiresAt = new Date(Date.now() + getRedirectTtlMs());
+    await HandleRedirect.findOneAndUpdate(
+      { handleKey: previousKey },
+      { handle: previous, user: user._id, expiresAt: redirectExpiresAt },
+      { upsert: true }
+    );
+  }
+
+  return { handle: user.handle || null, previousHandle: previous || null, redirectExpiresAt };
+};
+
+// Resolve a handle to { user } for a current handle, { redirectTo } for a
+// handle in its grace period, or null
+const resolveHandle = async (handle) => {
+  const handleKey = toHandleKey(handle);
+  const user = await User.findOne({ handleKey }).select('_id handle').lean();
+  if (user) {
+    return { user };
+  }
+
+  const redirect = await HandleRedirect.findOne({ handleKey, expiresAt: { $gt: new Date() } })
+    .populate('user', '_id handle')
+    .lean();
+  return redirect?.user ? { redirectTo: redirect.user } : null;
+};
+
+module.exports = {
+  toHandleKey,
+  validateHandle,
+  isHandleAvailable,
+  getNextChangeAt,
+  setHandle,
+  resolveHandle,
+};
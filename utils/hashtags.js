@@ -0,0 +1,35 @@
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_POST = 30;
+const MAX_FOLLOWED = 100;
+
+// A hashtag is # followed by letters, digits and underscores, and must contain
+// at least one letter. A # right after a word character, &, / or # is not a
+// hashtag, which skips things like "C#7", URL fragments and HTML entities.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]+)/gu;
+const TAG_PATTERN = /^(?=[\p{N}_]*\p{L})[\p{L}\p{N}_]+$/u;
+
+// Canonical form of a tag: no leading #, Unicode-normalized and lowercase,
+// or null if it is not a valid tag
+const normalizeHashtag = (tag) => {
+  const value = String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+  return value.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(value) ? value : null;
+};
+
+// Distinct normalized hashtags in the order they first appear in text
+const extractHashtags = (text) => {
+  const tags = new Set();
+  for (const match of String(text || '').matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeHashtag(match[2]);
+    if (tag) {
+      tags.add(tag);
+    }
+    if (tags.size >= MAX_TAGS_PER_POST) break;
+  }
+  return [...tags];
+};
+
+module.exports = {
+  MAX_FOLLOWED,
+  normalizeHashtag,
+  extractHashtags,
+};
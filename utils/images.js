@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOAD_ROOT = path.join(__dirname, '../uploads');
+
+// Output variants per image kind, keyed by label
+const VARIANTS = {
+  avatar: {
+    48: { width: 48, height: 48 },
+    200: { width: 200, height: 200 },
+    400: { width: 400, height: 400 },
+  },
+  banner: {
+    800: { width: 800, height: 200 },
+    1584: { width: 1584, height: 396 },
+  },
+};
+
+// Size used for the single-URL field (profilePicture / bannerImage)
+const DEFAULT_VARIANT = {
+  avatar: '200',
+  banner: '1584',
+};
+
+// Leading bytes of each accepted image format
+const SIGNATURES = [
+  { type: 'jpeg', test: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  {
+    type: 'png',
+    test: (buf) => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { type: 'gif', test: (buf) => ['GIF87a', 'GIF89a'].includes(buf.slice(0, 6).toString('ascii')) },
+  {
+    type: 'webp',
+    test: (buf) => buf.slice(0, 4).toString('ascii') === 'RIFF' && buf.slice(8, 12).toString('ascii') === 'WEBP',
+  },
+];
+
+// Detect the real image type from the file contents, ignoring name and mimetype
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.type : null;
+};
+
+// Resize an uploaded image into every variant for its kind. Output is
+// re-encoded as WebP, which drops EXIF/GPS and all other metadata.
+// Returns { url, sizes } with public /uploads paths.
+const processImage = async (buffer, kind, ownerId) => {
+  const variants = VARIANTS[kind];
+  const dir = path.join(UPLOAD_ROOT, `${kind}s`);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const prefix = `${ownerId}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const sizes = {};
+
+  try {
+    for (const [label, { width, height }] of Object.entries(variants)) {
+      const filename = `${prefix}-${label}.webp`;
+      // Recorded before writing so a half-written file is cleaned up too
+      sizes[label] = `/uploads/${kind}s/${filename}`;
+      await sharp(buffer, { animated: false })
+        .rotate() // apply EXIF orientation before the metadata is discarded
+        .resize(width, height, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 85 })
+        .toFile(path.join(dir, filename));
+    }
+  } catch (error) {
+    // Don't leave the variants written so far behind
+    removeImageSet(null, sizes);
+    throw error;
+  }
+
+  return { url: sizes[DEFAULT_VARIANT[kind]], sizes };
+};
+
+// Remove a file stored under /uploads, ignoring files that are already gone
+const removeUpload = (publicPath) => {
+  if (!publicPath || !publicPath.startsWith('/uploads/')) return;
+  const filePath = path.join(__dirname, '..', publicPath);
+  if (!filePath.startsWith(UPLOAD_ROOT)) return;
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Remove every file of an image set (the main URL plus all size variants)
+const removeImageSet = (url, sizes) => {
+  const variants = sizes instanceof Map ? [...sizes.values()] : Object.values(sizes || {});
+  const paths = new Set([url, ...variants]);
+  paths.forEach(removeUpload);
+};
+
+module.exports = {
+  VARIANTS,
+  detectImageType,
+  processImage,
+  removeUpload,
+  removeImageSet,
+};
@@ -0,0 +1,365 @@
+const { serializeProfile } = require('./privacy');
+const { SECTION_NAMES, isSameEntry } = require('./profileValidation');
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const IMPORT_MODES = ['merge', 'replace'];
+const MAX_ITEMS = 100;
+
+// JSON Resume dates are ISO 8601 with optional month and day: 2020, 2020-04, 2020-04-01
+const ISO_DATE = /^([1-2][0-9]{3})(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12][0-9]|3[01]))?)?$/;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const [, year, month = '01', day = '01'] = ISO_DATE.exec(value);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+};
+
+// Drop undefined and empty-string values so the output only carries real data
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== '')
+);
+
+// JSON Resume fluency is free text; map it to and from our proficiency levels
+const FLUENCY_LABELS = {
+  elementary: 'Elementary',
+  limited_working: 'Limited working',
+  professional_working: 'Professional working',
+  full_professional: 'Full professional',
+  native: 'Native',
+};
+
+const toProficiency = (fluency) => {
+  const text = String(fluency || '').toLowerCase();
+  if (!text) return undefined;
+  if (/native|bilingual|mother/.test(text)) return 'native';
+  if (/full|fluent|advanced/.test(text)) return 'full_professional';
+  if (/professional|working|upper/.test(text)) return 'professional_working';
+  if (/limited|intermediate|conversational/.test(text)) return 'limited_working';
+  if (/elementary|basic|beginner/.test(text)) return 'elementary';
+  return undefined;
+};
+
+// Build a JSON Resume document from a profile, limited to what the viewer may see
+const toJsonResume = (user, viewer, baseUrl) => {
+  const profile = serializeProfile(user, viewer);
+  const experience = profile.experience || [];
+  const current = experience.find(exp => exp.current);
+  const absolute = (url) => (url && url.startsWith('/') ? `${baseUrl}${url}` : url);
+  const location = profile.location || current?.location;
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: profile.name,
+      label: profile.headline || (current ? current.title : undefined),
+      image: absolute(profile.profilePicture),
+      email: profile.email,
+      summary: profile.bio,
+      location: location ? { city: location } : undefined,
+    }),
+    work: experience.map(exp => compact({
+      name: exp.company,
+      position: exp.title,
+      location: exp.location,
+      startDate: formatDate(exp.startDate),
+      endDate: exp.current ? undefined : formatDate(exp.endDate),
+      summary: exp.description,
+    })),
+    volunteer: (profile.volunteer || []).map(item => compact({
+      organization: item.organization,
+      position: item.role,
+      startDate: formatDate(item.startDate),
+      endDate: item.current ? undefined : formatDate(item.endDate),
+      summary: item.description,
+    })),
+    education: (profile.education || []).map(edu => compact({
+      institution: edu.school,
+      studyType: edu.degree,
+      area: edu.field,
+      startDate: formatDate(edu.startDate),
+      endDate: formatDate(edu.endDate),
+    })),
+    certificates: (profile.certifications || []).map(cert => compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: formatDate(cert.issueDate),
+      url: cert.credentialUrl,
+    })),
+    skills: (profile.skills || []).map(name => ({ name })),
+    languages: (profile.languages || []).map(language => compact({
+      language: language.name,
+      fluency: FLUENCY_LABELS[language.proficiency],
+    })),
+    projects: (profile.projects || []).map(project => compact({
+      name: project.name,
+      description: project.description,
+      url: project.url,
+      startDate: formatDate(project.startDate),
+      endDate: project.current ? undefined : formatDate(project.endDate),
+    })),
+    meta: compact({
+      canonical: `${baseUrl}/api/users/${user._id}/resume.json`,
+      lastModified: user.updatedAt ? new Date(user.updatedAt).toISOString() : undefined,
+    }),
+  };
+};
+
+// Check a JSON Resume document against the parts of the schema we import.
+// Returns a list of error messages; an empty list means the document is valid.
+const validateJsonResume = (resume) => {
+  const errors = [];
+
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+    return ['Resume must be a JSON object'];
+  }
+
+  const checkString = (value, path, { required = false } = {}) => {
+    if (value === undefined || value === null) {
+      if (required) errors.push(`${path} is required`);
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push(`${path} must be a string`);
+    } else if (required && !value.trim()) {
+      errors.push(`${path} is required`);
+    }
+  };
+
+  const checkDate = (value, path) => {
+    checkString(value, path);
+    // parseDate rolls impossible days such as 2020-02-31 over, so compare it back
+    if (typeof value === 'string' && value && (!ISO_DATE.test(value) || !formatDate(parseDate(value)).startsWith(value))) {
+      errors.push(`${path} must be an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)`);
+    }
+  };
+
+  const checkArray = (value, path, checkItem) => {
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    if (value.length > MAX_ITEMS) {
+      errors.push(`${path} cannot have more than ${MAX_ITEMS} items`);
+      return;
+    }
+    value.forEach((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${path}[${index}] must be an object`);
+      } else {
+        checkItem(item, `${path}[${index}]`);
+      }
+    });
+  };
+
+  if (resume.basics !== undefined) {
+    if (!resume.basics || typeof resume.basics !== 'object' || Array.isArray(resume.basics)) {
+      errors.push('basics must be an object');
+    } else {
+      checkString(resume.basics.name, 'basics.name');
+      checkString(resume.basics.label, 'basics.label');
+      checkString(resume.basics.summary, 'basics.summary');
+      const { location } = resume.basics;
+      if (location !== undefined && (!location || typeof location !== 'object' || Array.isArray(location))) {
+        errors.push('basics.location must be an object');
+      } else if (location) {
+        checkString(location.city, 'basics.location.city');
+      }
+    }
+  }
+
+  checkArray(resume.work, 'work', (item, path) => {
+    checkString(item.name, `${path}.name`, { required: true });
+    checkString(item.position, `${path}.position`, { required: true });
+    checkString(item.location, `${path}.location`);
+    checkString(item.summary, `${path}.summary`);
+    checkDate(item.startDate, `${path}.startDate`);
+    checkDate(item.endDate, `${path}.endDate`);
+  });
+
+  checkArray(resume.education, 'education', (item, path) => {
+    checkString(item.institution, `${path}.institution`, { required: true });
+    checkString(item.studyType, `${path}.studyType`, { required: true });
+    checkString(item.area, `${path}.area`);
+    checkDate(item.startDate, `${path}.startDate`);
+    checkDate(item.endDate, `${path}.endDate`);
+  });
+
+  checkArray(resume.skills, 'skills', (item, path) => {
+    checkString(item.name, `${path}.name`, { required: true });
+  });
+
+  checkArray(resume.certificates, 'certificates', (item, path) => {
+    checkString(item.name, `${path}.name`, { required: true });
+    checkString(item.issuer, `${path}.issuer`, { required: true });
+    checkString(item.url, `${path}.url`);
+    checkDate(item.date, `${path}.date`);
+  });
+
+  checkArray(resume.projects, 'projects', (item, path) => {
+    checkString(item.name, `${path}.name`, { required: true });
+    checkString(item.description, `${path}.description`);
+    checkString(item.url, `${path}.url`);
+    checkDate(item.startDate, `${path}.startDate`);
+    checkDate(item.endDate, `${path}.endDate`);
+  });
+
+  checkArray(resume.languages, 'languages', (item, path) => {
+    checkString(item.language, `${path}.language`, { required: true });
+    checkString(item.fluency, `${path}.fluency`);
+  });
+
+  checkArray(resume.volunteer, 'volunteer', (item, path) => {
+    checkString(item.organization, `${path}.organization`, { required: true });
+    checkString(item.position, `${path}.position`, { required: true });
+    checkString(item.summary, `${path}.summary`);
+    checkDate(item.startDate, `${path}.startDate`);
+    checkDate(item.endDate, `${path}.endDate`);
+  });
+
+  return errors;
+};
+
+// Map a validated JSON Resume document onto profile fields. Sections missing
+// from the document are left out so they are not touched on import.
+const fromJsonResume = (resume) => {
+  const fields = {};
+  const trim = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  if (resume.basics?.name?.trim()) fields.name = resume.basics.name.trim();
+  if (typeof resume.basics?.label === 'string') fields.headline = resume.basics.label.trim();
+  if (typeof resume.basics?.location?.city === 'string') fields.location = resume.basics.location.city.trim();
+  if (typeof resume.basics?.summary === 'string') fields.bio = resume.basics.summary.trim();
+
+  if (resume.work) {
+    fields.experience = resume.work.map(item => ({
+      title: item.position.trim(),
+      company: item.name.trim(),
+      location: trim(item.location),
+      startDate: parseDate(item.startDate),
+      endDate: parseDate(item.endDate),
+      current: Boolean(item.startDate) && !item.endDate,
+      description: trim(item.summary),
+    }));
+  }
+
+  if (resume.education) {
+    fields.education = resume.education.map(item => ({
+      school: item.institution.trim(),
+      degree: item.studyType.trim(),
+      field: trim(item.area),
+      startDate: parseDate(item.startDate),
+      endDate: parseDate(item.endDate),
+    }));
+  }
+
+  if (resume.skills) {
+    fields.skills = resume.skills.map(item => item.name.trim()).filter(Boolean);
+  }
+
+  if (resume.certificates) {
+    fields.certifications = resume.certificates.map(item => ({
+      name: item.name.trim(),
+      issuer: item.issuer.trim(),
+      issueDate: parseDate(item.date),
+      credentialUrl: trim(item.url),
+    }));
+  }
+
+  if (resume.projects) {
+    fields.projects = resume.projects.map(item => ({
+      name: item.name.trim(),
+      description: trim(item.description),
+      url: trim(item.url),
+      startDate: parseDate(item.startDate),
+      endDate: parseDate(item.endDate),
+      current: Boolean(item.startDate) && !item.endDate,
+    }));
+  }
+
+  if (resume.languages) {
+    fields.languages = resume.languages.map(item => ({
+      name: item.language.trim(),
+      proficiency: toProficiency(item.fluency),
+    }));
+  }
+
+  if (resume.volunteer) {
+    fields.volunteer = resume.volunteer.map(item => ({
+      organization: item.organization.trim(),
+      role: item.position.trim(),
+      startDate: parseDate(item.startDate),
+      endDate: parseDate(item.endDate),
+      current: Boolean(item.startDate) && !item.endDate,
+      description: trim(item.summary),
+    }));
+  }
+
+  return fields;
+};
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Combine imported entries with existing ones. Entries that match an existing
+// one keep its _id, so anything attached to it (e.g. recommendations) survives.
+// merge fills matched entries in place and appends new ones; replace keeps
+// only the imported entries, in their imported order.
+const combineEntries = (section, existing, imported, mode) => {
+  const used = new Set();
+  const incoming = imported.map(entry => {
+    const match = existing.find(current => !used.has(current) && isSameEntry(section, current, entry));
+    if (!match) return entry;
+    used.add(match);
+    if (mode === 'replace') return { ...entry, _id: match._id };
+
+    const merged = { ...match.toObject(), ...compact(entry), _id: match._id };
+    // An entry imported as current is open-ended, whatever end date was stored
+    if (merged.current) merged.endDate = null;
+    return merged;
+  });
+
+  if (mode === 'replace') return incoming;
+
+  const updated = new Map(incoming.filter(entry => entry._id).map(entry => [entry._id.toString(), entry]));
+  return [
+    ...existing.map(current => updated.get(current._id.toString()) || current),
+    ...incoming.filter(entry => !entry._id),
+  ];
+};
+
+// Apply validated profile fields to a user document. In merge mode empty
+// text fields never overwrite existing values. Returns per-section counts.
+const applyJsonResume = (user, fields, mode) => {
+  if (fields.name) user.name = fields.name;
+  ['headline', 'location', 'bio'].forEach(field => {
+    if (fields[field] !== undefined && (mode === 'replace' || fields[field])) user[field] = fields[field];
+  });
+
+  SECTION_NAMES.forEach(section => {
+    if (fields[section]) {
+      user[section] = combineEntries(section, user[section], fields[section], mode);
+    }
+  });
+
+  if (fields.skills) {
+    const skills = mode === 'replace' ? [] : [...user.skills];
+    fields.skills.forEach(skill => {
+      if (!skills.some(current => sameText(current, skill))) skills.push(skill);
+    });
+    user.skills = skills;
+  }
+
+  return Object.fromEntries(
+    [...SECTION_NAMES, 'skills'].map(section => [section, fields[section]?.length || 0])
+  );
+};
+
+module.exports = {
+  IMPORT_MODES,
+  toJsonResume,
+  validateJsonResume,
+  fromJsonResume,
+  applyJsonResume,
+};
@@ -0,0 +1,136 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+
+const getConfig = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE,
+  // Failures older than this no longer count towards a lockout
+  failureWindowMs: 15 * MINUTE,
+  // Progressive delays start after this many consecutive failures
+  delayAfter: 3,
+  maxDelayMs: 30 * 1000,
+  maxLockoutMs: 24 * 60 * MINUTE,
+  // How long a quiet record is kept before it expires
+  retentionMs: 24 * 60 * MINUTE,
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Delay required after the latest failure: 1s, 2s, 4s ... capped at maxDelayMs
+const getDelayMs = (failures, config) => {
+  if (failures < config.delayAfter) return 0;
+  return Math.min(1000 * 2 ** (failures - config.delayAfter), config.maxDelayMs);
+};
+
+// Lockouts double in length each time, capped at maxLockoutMs
+const getLockoutMs = (lockCount, config) => {
+  return Math.min(config.lockoutMs * 2 ** lockCount, config.maxLockoutMs);
+};
+
+// How long the caller must wait before trying this record again, in ms
+const getWaitMs = (record, config, now) => {
+  if (!record) return 0;
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return record.lockedUntil - now;
+  }
+  if (!record.lastFailureAt || now - record.lastFailureAt > config.failureWindowMs) {
+    return 0;
+  }
+  const readyAt = record.lastFailureAt.getTime() + getDelayMs(record.failures, config);
+  return Math.max(readyAt - now, 0);
+};
+
+// Check whether a login attempt may proceed for this email and IP
+const checkLoginAllowed = async (email, ip) => {
+  const config = getConfig();
+  const now = new Date();
+  const [account, address] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email) }),
+    LoginAttempt.findOne({ key: ipKey(ip) }),
+  ]);
+
+  const waitMs = Math.max(getWaitMs(account, config, now), getWaitMs(address, config, now));
+  const locked = [account, address].some(record => record?.lockedUntil && record.lockedUntil > now);
+
+  return {
+    allowed: waitMs === 0,
+    locked,
+    retryAfter: Math.ceil(waitMs / 1000),
+  };
+};
+
+// Count one failure against a key and lock it once it reaches maxFailures.
+// Returns the updated record and whether this failure triggered a lockout.
+const recordFailure = async (key, scope, maxFailures, config) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.failureWindowMs);
+
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        scope,
+        failures: {
+          $cond: [
+            { $lt: [{ $ifNull: ['$lastFailureAt', null] }, windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+          ],
+        },
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + config.retentionMs),
+      },
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (record.failures < maxFailures) {
+    return { record, justLocked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + getLockoutMs(record.lockCount, config));
+  const locked = await LoginAttempt.findOneAndUpdate(
+    { _id: record._id },
+    {
+      lockedUntil,
+      failures: 0,
+      $inc: { lockCount: 1 },
+      expiresAt: new Date(lockedUntil.getTime() + config.retentionMs),
+    },
+    { new: true }
+  );
+
+  return { record: locked, justLocked: true };
+};
+
+// Record a failed login for both the account and the client IP
+const recordLoginFailure = async (email, ip) => {
+  const config = getConfig();
+  const [account, address] = await Promise.all([
+    recordFailure(accountKey(email), 'account', config.maxAccountFailures, config),
+    recordFailure(ipKey(ip), 'ip', config.maxIpFailures, config),
+  ]);
+
+  return {
+    accountLocked: account.justLocked,
+    lockedUntil: account.record.lockedUntil,
+    ipLocked: address.justLocked,
+  };
+};
+
+// Clear the failure history of an account after a successful login or an
+// explicit unlock. IP records are left alone so that logging into one
+// account does not reset the counter for an attacker's address.
+const clearAccountFailures = (email) => {
+  return LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures,
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transports are selected with MAIL_TRANSPORT:
+//   console - print messages to stdout (default outside production)
+//   file    - write each message as JSON into MAIL_FILE_DIR
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT (e.g. a local MailHog/Mailpit catcher)
+// Production requires smtp: the others would write reset and verification
+// tokens to logs or disk.
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Email (console transport)');
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+      return { transport: 'console' };
+    },
+  }),
+
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox');
+    return {
+      send: async (message) => {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+        const filePath = path.join(dir, filename);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { transport: 'file', path: filePath };
+      },
+    };
+  },
+
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+// Name of the configured transport; throws if it is unknown or not allowed here
+const getTransportName = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (isProduction ? '' : 'console');
+  if (isProduction && name !== 'smtp') {
+    throw new Error('MAIL_TRANSPORT must be "smtp" in production');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return name;
+};
+
+// Check the mail configuration at startup rather than on the first email
+const validateMailConfig = () => {
+  getTransportName();
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = transports[getTransportName()]();
+  }
+  return activeTransport;
+};
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Careerly <no-reply@careerly.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, setTransport, validateMailConfig };
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getBlockedIds } = require('./blocking');
+const { notify } = require('./notifications');
+
+const MAX_MENTIONS = 20;
+
+// Structured token inserted by clients from a mention picker: @[Jane Doe](<userId>)
+const TOKEN_PATTERN = /@\[[^\]\n]{1,100}\]\(([a-f0-9]{24})\)/gi;
+
+// Plain @handle. An @ right after a word character, ., - or @ is not a mention,
+// so email addresses are left alone. Trailing hyphens are punctuation.
+const HANDLE_MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@-])@([a-z][a-z0-9-]{0,29})(?![\p{L}\p{N}_])/giu;
+
+// User ids from mention tokens and handle keys from plain @handles in text
+const parseMentions = (text) => {
+  const value = String(text || '');
+  const ids = new Set();
+  const handleKeys = new Set();
+
+  for (const match of value.matchAll(TOKEN_PATTERN)) {
+    ids.add(match[1].toLowerCase());
+  }
+  for (const match of value.matchAll(HANDLE_MENTION_PATTERN)) {
+    handleKeys.add(match[2].replace(/-+$/, '').toLowerCase());
+  }
+
+  return { ids: [...ids], handleKeys: [...handleKeys] };
+};
+
+// Resolve the mentions in text written by authorId to existing user ids.
+// Unknown handles, the author and users blocked either way are dropped.
+const resolveMentions = async (text, authorId) => {
+  const { ids, handleKeys } = parseMentions(text);
+  if (ids.length === 0 && handleKeys.length === 0) {
+    return [];
+  }
+
+  const [users, blockedIds] = await Promise.all([
+    User.find({ $or: [{ _id: { $in: ids } }, { handleKey: { $in: handleKeys } }] })
+      .select('_id handleKey')
+      .lean(),
+    getBlockedIds(authorId),
+  ]);
+
+  const excluded = new Set([authorId, ...blockedIds].map(id => id.toString()));
+  const byId = new Map(users.map(user => [user._id.toString(), user._id]));
+  const byHandle = new Map(users.filter(user => user.handleKey).map(user => [user.handleKey, user._id.toString()]));
+
+  const resolved = new Set(
+    [...ids, ...handleKeys.map(key => byHandle.get(key))]
+      .filter(id => id && byId.has(id) && !excluded.has(id))
+  );
+  return [...resolved].slice(0, MAX_MENTIONS).map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Remove the mention notifications for a post (or one of its comments) from
+// users who are no longer mentioned
+const retractMentions = async (userIds, { from, post, comment }) => {
+  if (userIds.length === 0) return;
+  await User.updateMany(
+    { _id: { $in: userIds } },
+    { $pull: { notifications: { type: 'mention', from, post, comment: comment || null } } }
+  );
+};
+
+// Notify newly mentioned users and retract notifications from users whose
+// mention was edited out. previous and next are arrays of user ids.
+const syncMentions = async (previous, next, { from, post, comment, message }) => {
+  const before = new Set(previous.map(id => id.toString()));
+  const after = new Set(next.map(id => id.toString()));
+
+  const added = next.filter(id => !before.has(id.toString()));
+  const removed = previous.filter(id => !after.has(id.toString()));
+
+  for (const userId of added) {
+    await notify(userId, { type: 'mention', from, post, comment, message });
+  }
+  await retractMentions(removed, { from, post, comment });
+
+  return { added, removed };
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  retractMentions,
+  syncMentions,
+};
@@ -0,0 +1,22 @@
+const User = require('../models/User');
+const { isBlocked } = require('./blocking');
+
+// Push a notification to a user. Skipped when the sender notifies themselves
+// or when either user has blocked the other.
+const notify = async (recipientId, { type, from, post, comment, recommendation, message }) => {
+  if (from && recipientId.toString() === from.toString()) {
+    return false;
+  }
+
+  if (from && await isBlocked(recipientId, from)) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: recipientId },
+    { $push: { notifications: { type, from, post, comment, recommendation, message } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = { notify };
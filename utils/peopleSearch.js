@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { canViewField } = require('./privacy');
+const { getBlockedIds } = require('./blocking');
+const { getNetwork, getMutualCounts } = require('./connectionGraph');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const FACET_SIZE = 10;
+
+// Escape user input so it can only ever match literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on escaped input. Anchored so it cannot
+// backtrack, but it cannot seek an index; only use it inside other conditions.
+const exactMatch = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i');
+
+const toList = (value) => {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean).slice(0, 10);
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return mongoose.isValidObjectId(data.id) ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Match documents whose section (experience/education) is visible to the viewer.
+// Missing settings fall back to the schema default, which is public.
+const visibleSection = (field, firstDegreeIds) => ({
+  $or: [
+    { [`privacy.${field}`]: { $in: ['public', null] } },
+    { [`privacy.${field}`]: 'connections', _id: { $in: firstDegreeIds } },
+  ],
+});
+
+// Top values of a field, counted once per matching user. arrayPath is the
+// array to unwind and valuePath the value to count inside it.
+const countFacet = (arrayPath, valuePath = arrayPath, preStages = []) => [
+  ...preStages,
+  { $unwind: `$${arrayPath}` },
+  { $match: { [valuePath]: { $nin: [null, ''] } } },
+  { $group: { _id: { value: `$${valuePath}`, user: '$_id' } } },
+  { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_SIZE },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+// Trim a search hit down to its public card, honoring the user's privacy settings
+const toSearchResult = (user, viewer, mutualCounts) => {
+  const relationship = user.degree === 0 ? 'self' : user.degree === 1 ? 'connection' : viewer ? 'member' : 'anonymous';
+  const current = canViewField(user, 'experience', relationship)
+    ? (user.experience || []).find(exp => exp.current)
+    : null;
+
+  return {
+    _id: user._id,
+    name: user.name,
+    handle: user.handle || null,
+    profilePicture: user.profilePicture,
+    currentPosition: current ? { title: current.title, company: current.company } : null,
+    headline: user.headline || '',
+    location: user.location || '',
+    skills: (user.skills || []).slice(0, 5),
+    degree: user.degree,
+    ...(viewer ? { mutualCount: mutualCounts.get(user._id.toString()) || 0 } : {}),
+  };
+};
+
+// Blocked users to exclude plus the viewer's first- and second-degree connections
+const getViewerContext = async (viewer) => {
+  if (!viewer) {
+    return { excludeIds: [], firstDegreeIds: [], secondDegreeIds: [] };
+  }
+
+  const [excludeIds, network] = await Promise.all([
+    getBlockedIds(viewer._id),
+    getNetwork(viewer._id),
+  ]);
+
+  return { excludeIds, ...network };
+};
+
+// Whether a search is narrow enough to run: free text or at least one filter.
+// The degree filter only counts for signed-in viewers.
+const hasSearchCriteria = ({ q, skills, company, school, location, degree, title, pastCompany }, viewer) => (
+  [q, company, school, location, title, pastCompany].some(value => String(value || '').trim() !== '')
+  || toList(skills).length > 0
+  || Boolean(viewer && [1, 2, 3].includes(parseInt(degree, 10)))
+);
+
+// Faceted people search. Free text uses the text index with relevance ranking;
+// filters are exact, case-insensitive matches. Pages are addressed by an
+// opaque cursor over (score, _id). title and pastCompany are the candidate
+// search filters, which only recruiters are offered.
+const searchPeople = async ({
+  q, skills, company, school, location, degree, title, pastCompany, limit, cursor,
+}, viewer) => {
+  const { excludeIds, firstDegreeIds, secondDegreeIds } = await getViewerContext(viewer);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const text = q ? String(q).trim().slice(0, 100) : '';
+
+  const match = { _id: { $nin: excludeIds } };
+  const and = [];
+
+  // "@handle" looks a member up by their vanity handle instead of full text
+  const handle = text.startsWith('@') ? text.slice(1).trim().toLowerCase() : '';
+  if (handle) {
+    match.handleKey = handle;
+  } else if (text) {
+    match.$text = { $search: text };
+  }
+
+  const skillList = toList(skills);
+  if (skillList.length > 0) {
+    match['searchable.skills'] = { $all: skillList.map(User.toSearchKey) };
+  }
+
+  if (company) {
+    and.push(
+      { experience: { $elemMatch: { current: true, company: exactMatch(company) } } },
+      visibleSection('experience', firstDegreeIds)
+    );
+  }
+
+  if (title) {
+    and.push(
+      { experience: { $elemMatch: { current: true, title: exactMatch(title) } } },
+      visibleSection('experience', firstDegreeIds)
+    );
+  }
+
+  if (pastCompany) {
+    and.push(
+      { experience: { $elemMatch: { current: { $ne: true }, company: exactMatch(pastCompany) } } },
+      visibleSection('experience', firstDegreeIds)
+    );
+  }
+
+  if (location) {
+    match['searchable.location'] = User.toSearchKey(location);
+  }
+
+  if (school) {
+    and.push({ 'education.school': exactMatch(school) }, visibleSection('education', firstDegreeIds));
+  }
+
+  // Narrow the match to the requested degree up front rather than scanning everyone
+  const degreeFilter = viewer ? parseInt(degree, 10) : NaN;
+  if (degreeFilter === 1) {
+    and.push({ _id: { $in: firstDegreeIds } });
+  } else if (degreeFilter === 2) {
+    and.push({ _id: { $in: secondDegreeIds } });
+  } else if (degreeFilter === 3) {
+    and.push({ connections: { $in: secondDegreeIds } });
+  }
+
+  if (and.length > 0) {
+    match.$and = and;
+  }
+
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        score: text && !handle ? { $meta: 'textScore' } : 0,
+        degree: viewer
+          ? {
+            $cond: [
+              { $eq: ['$_id', viewer._id] }, 0,
+              { $cond: [
+                { $in: ['$_id', firstDegreeIds] }, 1,
+                { $cond: [
+                  { $in: ['$_id', secondDegreeIds] }, 2,
+                  // Third degree: connected to one of the viewer's second-degree connections
+                  { $cond: [
+                    { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$connections', []] }, secondDegreeIds] } }, 0] },
+                    3,
+                    null,
+                  ] },
+                ] },
+              ] },
+            ],
+          }
+          : null,
+      },
+    },
+  ];
+
+  if ([1, 2, 3].includes(degreeFilter)) {
+    pipeline.push({ $match: { degree: degreeFilter } });
+  }
+
+  // Results page: everything after the cursor in (score desc, _id asc) order
+  const after = decodeCursor(cursor);
+  const pageStages = [];
+  if (after) {
+    const afterId = new mongoose.Types.ObjectId(after.id);
+    pageStages.push({
+      $match: {
+        $or: [
+          { score: { $lt: after.score || 0 } },
+          { score: after.score || 0, _id: { $gt: afterId } },
+        ],
+      },
+    });
+  }
+  pageStages.push(
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: pageSize + 1 },
+    {
+      $project: {
+        name: 1,
+        handle: 1,
+        profilePicture: 1,
+        headline: 1,
+        location: 1,
+        experience: 1,
+        skills: 1,
+        privacy: 1,
+        score: 1,
+        degree: 1,
+      },
+    }
+  );
+
+  const experienceVisible = { $match: visibleSection('experience', firstDegreeIds) };
+  const educationVisible = { $match: visibleSection('education', firstDegreeIds) };
+  const currentExperience = [
+    experienceVisible,
+    {
+      $addFields: {
+        currentExperience: {
+          $filter: { input: '$experience', as: 'exp', cond: { $eq: ['$$exp.current', true] } },
+        },
+      },
+    },
+  ];
+
+  const facets = {
+    results: pageStages,
+    total: [{ $count: 'count' }],
+    skills: countFacet('skills'),
+    companies: countFacet('currentExperience', 'currentExperience.company', currentExperience),
+    locations: countFacet('location'),
+    schools: countFacet('education', 'education.school', [educationVisible]),
+  };
+  if (viewer) {
+    facets.degrees = [
+      { $match: { degree: { $gt: 0 } } },
+      { $group: { _id: '$degree', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+  }
+  pipeline.push({ $facet: facets });
+
+  const [result] = await User.aggregate(pipeline);
+
+  const hasMore = result.results.length > pageSize;
+  const page = result.results.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const mutualCounts = viewer
+    ? await getMutualCounts(viewer._id, page.map(user => user._id))
+    : new Map();
+
+  return {
+    results: page.map(user => toSearchResult(user, viewer, mutualCounts)),
+    total: result.total[0]?.count || 0,
+    facets: {
+      skills: result.skills,
+      companies: result.companies,
+      schools: result.schools,
+      locations: result.locations,
+      ...(viewer ? { degrees: result.degrees } : {}),
+    },
+    nextCursor: hasMore && last ? encodeCursor({ score: last.score, id: last._id.toString() }) : null,
+  };
+};
+
+module.exports = { searchPeople, hasSearchCriteria, escapeRegex };
@@ -0,0 +1,67 @@
+const ROLES = ['member', 'recruiter', 'admin'];
+
+// Permissions ending in ":own" only apply to resources the user owns;
+// the matching ":any" permission applies to every resource.
+const MEMBER_PERMISSIONS = [
+  'posts:create',
+  'posts:update:own',
+  'posts:delete:own',
+  'comments:update:own',
+  'comments:delete:own',
+  'profiles:update:own',
+];
+
+const RECRUITER_PERMISSIONS = [
+  ...MEMBER_PERMISSIONS,
+  'recruiter:access',
+  'candidates:search',
+];
+
+const ADMIN_PERMISSIONS = [
+  ...RECRUITER_PERMISSIONS,
+  'posts:update:any',
+  'posts:delete:any',
+  'comments:delete:any',
+  'profiles:update:any',
+  'users:manage',
+];
+
+// Permissions that are only granted once the user has enabled two-factor auth
+const TWO_FACTOR_PERMISSIONS = [
+  'recruiter:access',
+  'candidates:search',
+  'users:manage',
+];
+
+const ROLE_PERMISSIONS = {
+  member: MEMBER_PERMISSIONS,
+  recruiter: RECRUITER_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+const getPermissions = (user) => ROLE_PERMISSIONS[user?.role] || MEMBER_PERMISSIONS;
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+const requiresTwoFactor = (permission) => TWO_FACTOR_PERMISSIONS.includes(permission);
+
+// Check an action against a resource owner, e.g. can(user, 'posts:delete', post.user)
+const can = (user, action, ownerId) => {
+  if (!user) return false;
+  if (hasPermission(user, `${action}:any`)) return true;
+  return (
+    ownerId !== undefined &&
+    ownerId !== null &&
+    hasPermission(user, `${action}:own`) &&
+    ownerId.toString() === user._id.toString()
+  );
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  requiresTwoFactor,
+  can,
+};
@@ -0,0 +1,451 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getFeedWeights, withoutHiddenEngagement, scorePost, compareRanked } = require('./feedRanking');
+
+const { REACTION_TYPES } = Post;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Candidate pool sizes for the ranked feed: posts linked to the viewer's
+// network, and the newest posts from everyone else
+const NETWORK_CANDIDATES = 500;
+const GENERAL_CANDIDATES = 200;
+
+const toLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Feed cursors point at the last post of a page: (createdAt, _id), newest first
+const decodeFeedCursor = (cursor) => {
+  const data = decodeCursor(cursor);
+  const createdAt = new Date(data?.createdAt);
+  if (!data || Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(data.id)) {
+    return null;
+  }
+  return { createdAt, id: new mongoose.Types.ObjectId(data.id) };
+};
+
+// List cursors (comments, reactors) are plain offsets
+const decodeOffset = (cursor) => Math.max(parseInt(decodeCursor(cursor)?.offset, 10) || 0, 0);
+
+// Lightweight post card: author summary, reaction and comment counts, and
+// which reaction (if any) the viewer left. No user lists are loaded.
+const feedProjection = (viewerId) => ({
+  user: 1,
+  text: 1,
+  image: 1,
+  hashtags: 1,
+  mentions: 1,
+  createdAt: 1,
+  updatedAt: 1,
+  reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [
+    type,
+    { $size: { $ifNull: [`$reactions.${type}`, []] } },
+  ])),
+  commentCount: { $size: { $ifNull: ['$comments', []] } },
+  viewerReaction: viewerId
+    ? {
+      $switch: {
+        branches: REACTION_TYPES.map(type => ({
+          case: { $in: [viewerId, { $ifNull: [`$reactions.${type}`, []] }] },
+          then: type,
+        })),
+        default: null,
+      },
+    }
+    : null,
+});
+
+// Attach author summaries to projected posts
+const withAuthors = async (posts) => {
+  const authors = await User.find({ _id: { $in: posts.map(post => post.user) } })
+    .select('name handle headline profilePicture')
+    .lean();
+  const authorById = new Map(authors.map(author => [author._id.toString(), author]));
+
+  return posts
+    .filter(post => authorById.has(post.user.toString()))
+    .map(post => {
+      const reactionCount = Object.values(post.reactionCounts).reduce((sum, count) => sum + count, 0);
+      return { ...post, user: authorById.get(post.user.toString()), reactionCount };
+    });
+};
+
+// A single post as a feed card, or null when it or its author is gone
+const getPostCard = async (postId, viewerId = null) => {
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  const posts = await Post.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(postId) } },
+    { $project: feedProjection(viewer) },
+  ]);
+  const [card] = await withAuthors(posts);
+  return card || null;
+};
+
+// One page of posts matching query, newest first. Pages are addressed by an
+// opaque cursor over (createdAt, _id), so new posts never shift later pages.
+const getFeedPage = async (query, { limit, cursor } = {}, viewerId = null) => {
+  const pageSize = toLimit(limit);
+  const after = decodeFeedCursor(cursor);
+  const match = { ...query };
+
+  if (after) {
+    match.$and = [
+      ...(match.$and || []),
+      {
+        $or: [
+          { createdAt: { $lt: after.createdAt } },
+          { createdAt: after.createdAt, _id: { $lt: after.id } },
+        ],
+      },
+    ];
+  }
+
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  const results = await Post.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: pageSize + 1 },
+    { $project: feedProjection(viewer) },
+  ]);
+
+  const hasMore = results.length > pageSize;
+  const page = results.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return {
+    posts: await withAuthors(page),
+    nextCursor: hasMore && last
+      ? encodeCursor({ createdAt: last.createdAt.toISOString(), id: last._id.toString() })
+      : null,
+  };
+};
+
+// Only what scorePost needs: author, age and who engaged. Comments made after
+// the ranking time are left out so they cannot move posts between pages.
+const rankingProjection = (now) => ({
+  user: 1,
+  createdAt: 1,
+  hashtags: 1,
+  reactors: { $concatArrays: REACTION_TYPES.map(type => ({ $ifNull: [`$reactions.${type}`, []] })) },
+  commenters: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$comments', []] },
+          as: 'comment',
+          cond: { $lte: ['$$comment.createdAt', now] },
+        },
+      },
+      as: 'comment',
+      in: { user: '$$comment.user', createdAt: '$$comment.createdAt' },
+    },
+  },
+});
+
+const findCandidates = (match, limit, now) => Post.aggregate([
+  { $match: match },
+  { $sort: { createdAt: -1, _id: -1 } },
+  { $limit: limit },
+  { $project: rankingProjection(now) },
+]);
+
+// One page of the viewer's ranked home feed. Posts from connections, posts
+// connections reacted to or commented on, and posts with hashtags the viewer
+// follows rank above the rest; engagement
+// boosts and age decays a post's score (see utils/feedRanking). The cursor pins
+// the ranking time, which keeps newer posts and comments out of later pages.
+// Reactions carry no timestamp and count live, so a post whose reactions change
+// while paging can move across a page boundary and be repeated or skipped.
+// privateAuthorIds are authors whose activity the viewer may not see; their
+// posts are left out, but unlike hiddenIds their engagement still counts.
+const getRankedFeedPage = async (viewerId, { limit, cursor } = {}, hiddenIds = [], privateAuthorIds = []) => {
+  const pageSize = toLimit(limit);
+  const data = decodeCursor(cursor);
+  const pinned = new Date(data?.at);
+  const now = Number.isNaN(pinned.getTime()) ? new Date() : pinned;
+  const offset = decodeOffset(cursor);
+  const weights = getFeedWeights();
+
+  const viewer = await User.findById(viewerId).select('connections followedHashtags').lean();
+  const followedHashtags = viewer?.followedHashtags || [];
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+  const connectionIds = (viewer?.connections || []).filter(id => !hidden.has(id.toString()));
+
+  const recent = {
+    createdAt: { $gte: new Date(now.getTime() - weights.maxAgeDays * DAY_MS), $lte: now },
+    user: { $nin: [...hiddenIds, ...privateAuthorIds] },
+  };
+  const [network, general] = await Promise.all([
+    findCandidates({
+      ...recent,
+      $or: [
+        { user: { $in: [...connectionIds, viewer?._id].filter(Boolean) } },
+        ...REACTION_TYPES.map(type => ({ [`reactions.${type}`]: { $in: connectionIds } })),
+        { 'comments.user': { $in: connectionIds } },
+        { hashtags: { $in: followedHashtags } },
+      ],
+    }, NETWORK_CANDIDATES, now),
+    findCandidates(recent, GENERAL_CANDIDATES, now),
+  ]);
+
+  const candidates = new Map([...general, ...network].map(post => [post._id.toString(), post]));
+  const context = {
+    viewerId,
+    connectionIds: new Set(connectionIds.map(id => id.toString())),
+    followedHashtags: new Set(followedHashtags),
+  };
+  const ranked = [...candidates.values()]
+    .map(post => withoutHiddenEngagement(post, hidden))
+    .map(post => ({ _id: post._id, createdAt: post.createdAt, ...scorePost(post, context, weights, now) }))
+    .sort(compareRanked);
+  const page = ranked.slice(offset, offset + pageSize);
+
+  const [cards, engagedUsers] = await Promise.all([
+    Post.aggregate([
+      { $match: { _id: { $in: page.map(entry => entry._id) } } },
+      { $project: feedProjection(viewer?._id || null) },
+    ]),
+    User.find({ _id: { $in: page.flatMap(entry => entry.engagedConnectionIds.slice(0, 3)) } })
+      .select('name handle profilePicture')
+      .lean(),
+  ]);
+  const cardById = new Map((await withAuthors(cards)).map(card => [card._id.toString(), card]));
+  const userById = new Map(engagedUsers.map(user => [user._id.toString(), user]));
+
+  return {
+    posts: page
+      .filter(entry => cardById.has(entry._id.toString()))
+      .map(entry => ({
+        ...cardById.get(entry._id.toString()),
+        reason: entry.reason,
+        matchedHashtags: entry.matchedHashtags,
+        engagedConnections: entry.engagedConnectionIds
+          .slice(0, 3)
+          .map(id => userById.get(id))
+          .filter(Boolean),
+      })),
+    nextCursor: offset + pageSize < ranked.length
+      ? encodeCursor({ at: now.toISOString(), offset: offset + pageSize })
+      : null,
+  };
+};
+
+// Comment card: author summary, reaction counts, the viewer's reaction and
+// how many direct replies it has. Reacting users are loaded separately.
+const toCommentCard = (comment, { user, replyCount, viewerId }) => {
+  const reactionCounts = Object.fromEntries(
+    REACTION_TYPES.map(type => [type, (comment.reactions?.[type] || []).length])
+  );
+  return {
+    _id: comment._id,
+    user: user || null,
+    text: comment.text,
+    parent: comment.parent || null,
+    mentions: comment.mentions || [],
+    edited: Boolean(comment.edited),
+    editedAt: comment.editedAt || null,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+    reactionCounts,
+    reactionCount: Object.values(reactionCounts).reduce((sum, count) => sum + count, 0),
+    viewerReaction: viewerId
+      ? REACTION_TYPES.find(type =>
+        (comment.reactions?.[type] || []).some(id => id.toString() === viewerId.toString())
+      ) || null
+      : null,
+    replyCount,
+  };
+};
+
+// Cards for some of a post's comments, with reply counts that skip hidden authors
+const toCommentCards = async (allComments, comments, hiddenIds = [], viewerId = null) => {
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+  const replyCounts = new Map();
+  allComments
+    .filter(comment => comment.parent && !hidden.has(comment.user.toString()))
+    .forEach(comment => {
+      const key = comment.parent.toString();
+      replyCounts.set(key, (replyCounts.get(key) || 0) + 1);
+    });
+
+  const users = await User.find({ _id: { $in: comments.map(comment => comment.user) } })
+    .select('name handle profilePicture')
+    .lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return comments.map(comment => toCommentCard(comment, {
+    user: userById.get(comment.user.toString()),
+    replyCount: replyCounts.get(comment._id.toString()) || 0,
+    viewerId,
+  }));
+};
+
+// Counts and the viewer's reaction for the comment bound to $$comment, in
+// place of its reacting-user lists
+const commentCardFields = (viewerId, hiddenIds) => ({
+  _id: '$$comment._id',
+  user: '$$comment.user',
+  text: '$$comment.text',
+  parent: { $ifNull: ['$$comment.parent', null] },
+  mentions: { $ifNull: ['$$comment.mentions', []] },
+  edited: { $ifNull: ['$$comment.edited', false] },
+  editedAt: { $ifNull: ['$$comment.editedAt', null] },
+  createdAt: '$$comment.createdAt',
+  updatedAt: '$$comment.updatedAt',
+  reactionCounts: Object.fromEntries(REACTION_TYPES.map(type => [
+    type,
+    { $size: { $ifNull: [`$$comment.reactions.${type}`, []] } },
+  ])),
+  viewerReaction: viewerId
+    ? {
+      $switch: {
+        branches: REACTION_TYPES.map(type => ({
+          case: { $in: [viewerId, { $ifNull: [`$$comment.reactions.${type}`, []] }] },
+          then: type,
+        })),
+        default: null,
+      },
+    }
+    : null,
+  replyCount: {
+    $size: {
+      $filter: {
+        input: '$comments',
+        as: 'reply',
+        cond: {
+          $and: [
+            { $eq: ['$$reply.parent', '$$comment._id'] },
+            { $not: [{ $in: ['$$reply.user', hiddenIds] }] },
+          ],
+        },
+      },
+    },
+  },
+});
+
+// A page of a post's top-level comments, or of the direct replies to
+// parentId, oldest first and skipping hidden authors. Replies whose parent
+// was removed are shown at the top level. Filtering and slicing run in the
+// database, so only the page is returned. Returns null when parentId is not
+// a comment on the post.
+const getCommentsPage = async (postId, { limit, cursor, parentId } = {}, hiddenIds = [], viewerId = null) => {
+  const pageSize = toLimit(limit);
+  const offset = decodeOffset(cursor);
+  if (parentId && !mongoose.isValidObjectId(parentId)) return null;
+
+  const parent = parentId ? new mongoose.Types.ObjectId(parentId) : null;
+  const viewer = viewerId ? new mongoose.Types.ObjectId(viewerId) : null;
+  const hidden = hiddenIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const inLevel = parent
+    ? { $eq: ['$$comment.parent', parent] }
+    : {
+      $or: [
+        { $eq: [{ $ifNull: ['$$comment.parent', null] }, null] },
+        { $not: [{ $in: ['$$comment.parent', '$comments._id'] }] },
+      ],
+    };
+
+  const [result] = await Post.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(postId) } },
+    { $project: { comments: { $ifNull: ['$comments', []] } } },
+    {
+      $project: {
+        comments: 1,
+        parentExists: parent ? { $in: [parent, '$comments._id'] } : { $literal: true },
+        level: {
+          $filter: {
+            input: '$comments',
+            as: 'comment',
+            cond: { $and: [inLevel, { $not: [{ $in: ['$$comment.user', hidden] }] }] },
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        parentExists: 1,
+        total: { $size: '$level' },
+        page: {
+          $map: {
+            input: { $slice: ['$level', offset, pageSize] },
+            as: 'comment',
+            in: commentCardFields(viewer, hidden),
+          },
+        },
+      },
+    },
+  ]);
+  if (!result || !result.parentExists) return null;
+
+  const users = await User.find({ _id: { $in: result.page.map(comment => comment.user) } })
+    .select('name handle profilePicture')
+    .lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    comments: result.page.map(comment => ({
+      ...comment,
+      user: userById.get(comment.user.toString()) || null,
+      reactionCount: Object.values(comment.reactionCounts).reduce((sum, count) => sum + count, 0),
+    })),
+    nextCursor: offset + pageSize < result.total ? encodeCursor({ offset: offset + pageSize }) : null,
+  };
+};
+
+// A page of the users who reacted to a post, or to one of its comments when
+// commentId is given, optionally of one reaction type. Returns null when the
+// post or comment does not exist.
+const getReactorsPage = async (postId, { type, limit, cursor, commentId } = {}, hiddenIds = []) => {
+  const pageSize = toLimit(limit);
+  const offset = decodeOffset(cursor);
+  const types = type ? [type] : REACTION_TYPES;
+
+  const post = commentId
+    ? await Post.findOne({ _id: postId, 'comments._id': commentId }, { 'comments.$': 1 }).lean()
+    : await Post.findById(postId).select(types.map(t => `reactions.${t}`).join(' ')).lean();
+  if (!post) return null;
+  const { reactions } = commentId ? post.comments[0] : post;
+
+  // Hidden users are dropped before counting and slicing so pages stay full
+  const hidden = new Set(hiddenIds.map(id => id.toString()));
+  const all = types
+    .flatMap(t => (reactions?.[t] || []).map(user => ({ user, type: t })))
+    .filter(entry => !hidden.has(entry.user.toString()));
+  const slice = all.slice(offset, offset + pageSize);
+
+  const users = await User.find({ _id: { $in: slice.map(entry => entry.user) } })
+    .select('name handle headline profilePicture')
+    .lean();
+  const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    total: all.length,
+    reactors: slice
+      .filter(entry => userById.has(entry.user.toString()))
+      .map(entry => ({ user: userById.get(entry.user.toString()), type: entry.type })),
+    nextCursor: offset + pageSize < all.length ? encodeCursor({ offset: offset + pageSize }) : null,
+  };
+};
+
+module.exports = {
+  REACTION_TYPES,
+  getPostCard,
+  getFeedPage,
+  getRankedFeedPage,
+  toCommentCards,
+  getCommentsPage,
+  getReactorsPage,
+};
@@ -0,0 +1,90 @@
+const VISIBILITY_LEVELS = ['public', 'connections', 'only_me'];
+
+// Profile sections whose visibility each user controls
+const PRIVACY_DEFAULTS = {
+  email: 'connections',
+  experience: 'public',
+  education: 'public',
+  connections: 'connections',
+  activity: 'public',
+};
+
+const PRIVACY_FIELDS = Object.keys(PRIVACY_DEFAULTS);
+
+const idOf = (value) => (value?._id || value).toString();
+
+// How the viewer relates to the profile owner: self, connection, member or anonymous
+const getRelationship = (user, viewer) => {
+  if (!viewer) return 'anonymous';
+  if (idOf(viewer) === idOf(user)) return 'self';
+  const isConnected = (user.connections || []).some(conn => idOf(conn) === idOf(viewer));
+  return isConnected ? 'connection' : 'member';
+};
+
+const canViewField = (user, field, relationship) => {
+  if (relationship === 'self') return true;
+  const level = user.privacy?.[field] || PRIVACY_DEFAULTS[field];
+  if (level === 'public') return true;
+  if (level === 'connections') return relationship === 'connection';
+  return false;
+};
+
+// Serialize a user document for a specific viewer. Only whitelisted fields are
+// returned, so internal data (password, notifications, 2FA, block lists) never leaks.
+const serializeProfile = (user, viewer) => {
+  const relationship = getRelationship(user, viewer);
+  const canView = (field) => canViewField(user, field, relationship);
+
+  const profile = {
+    _id: user._id,
+    name: user.name,
+    handle: user.handle || null,
+    profilePicture: user.profilePicture,
+    profilePictureSizes: user.profilePictureSizes,
+    bannerImage: user.bannerImage,
+    bannerImageSizes: user.bannerImageSizes,
+    headline: user.headline,
+    location: user.location,
+    bio: user.bio,
+    skills: user.skills,
+    languages: user.languages,
+    createdAt: user.createdAt,
+    relationship,
+  };
+
+  if (canView('email')) profile.email = user.email;
+  // Certifications, projects and volunteer work follow the experience setting
+  if (canView('experience')) {
+    profile.experience = user.experience;
+    profile.certifications = user.certifications;
+    profile.projects = user.projects;
+    profile.volunteer = user.volunteer;
+  }
+  if (canView('education')) profile.education = user.education;
+  if (canView('connections')) {
+    profile.connections = (user.connections || []).map(conn => (
+      conn._id ? { _id: conn._id, name: conn.name, profilePicture: conn.profilePicture } : conn
+    ));
+  }
+  profile.activityVisible = canView('activity');
+
+  if (relationship === 'self') {
+    profile.privacy = PRIVACY_FIELDS.reduce((settings, field) => {
+      settings[field] = user.privacy?.[field] || PRIVACY_DEFAULTS[field];
+      return settings;
+    }, {});
+    profile.privacy.browseAnonymously = Boolean(user.browseAnonymously);
+    profile.connectionRequests = user.connectionRequests;
+  }
+
+  return profile;
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  PRIVACY_DEFAULTS,
+  PRIVACY_FIELDS,
+  getRelationship,
+  canViewField,
+  serializeProfile,
+};
@@ -0,0 +1,108 @@
+const MIN_SKILLS = 5;
+const MIN_CONNECTIONS = 10;
+const MIN_BIO_LENGTH = 50;
+
+// Checklist items and the points each is worth (total 100). Countable items
+// earn partial credit up to their target. The order breaks ties in ranking.
+const CHECKS = [
+  {
+    key: 'current_experience',
+    label: 'Add your current position',
+    points: 20,
+    progress: (user) => ((user.experience || []).some(exp => exp.current) ? 1 : 0),
+  },
+  {
+    key: 'profile_picture',
+    label: 'Upload a profile picture',
+    points: 15,
+    progress: (user) => (user.profilePicture ? 1 : 0),
+  },
+  {
+    key: 'bio',
+    label: `Write a bio of at least ${MIN_BIO_LENGTH} characters`,
+    points: 15,
+    progress: (user) => ((user.bio || '').trim().length >= MIN_BIO_LENGTH ? 1 : 0),
+    aiDraft: 'bio',
+  },
+  {
+    key: 'skills',
+    label: `List at least ${MIN_SKILLS} skills`,
+    points: 15,
+    count: (user) => (user.skills || []).length,
+    target: MIN_SKILLS,
+  },
+  {
+    key: 'headline',
+    label: 'Add a headline',
+    points: 10,
+    progress: (user) => ((user.headline || '').trim() ? 1 : 0),
+    aiDraft: 'headline',
+  },
+  {
+    key: 'education',
+    label: 'Add your education',
+    points: 10,
+    progress: (user) => ((user.education || []).length > 0 ? 1 : 0),
+  },
+  {
+    key: 'connections',
+    label: `Connect with at least ${MIN_CONNECTIONS} people`,
+    points: 10,
+    count: (user) => (user.connections || []).length,
+    target: MIN_CONNECTIONS,
+  },
+  {
+    key: 'location',
+    label: 'Add your location',
+    points: 5,
+    progress: (user) => ((user.location || '').trim() ? 1 : 0),
+  },
+];
+
+const LEVELS = [
+  { min: 100, level: 'all_star' },
+  { min: 70, level: 'advanced' },
+  { min: 40, level: 'intermediate' },
+  { min: 0, level: 'beginner' },
+];
+
+// Score a profile from 0 to 100. The same profile always gets the same score
+// and the same ordering of missing items, highest remaining impact first.
+// aiDrafts marks items the AI router can draft (POST /api/ai/draft-profile).
+const getProfileCompleteness = (user, { aiDrafts = false } = {}) => {
+  let score = 0;
+  const completed = [];
+  const missing = [];
+
+  CHECKS.forEach((check, order) => {
+    const current = check.count ? check.count(user) : null;
+    const progress = check.count ? Math.min(current / check.target, 1) : check.progress(user);
+    const earned = Math.round(check.points * progress);
+    score += earned;
+
+    if (progress >= 1) {
+      completed.push(check.key);
+      return;
+    }
+
+    missing.push({
+      key: check.key,
+      label: check.label,
+      impact: check.points - earned,
+      ...(check.count ? { progress: { current, target: check.target } } : {}),
+      ...(aiDrafts && check.aiDraft ? { aiDraft: { field: check.aiDraft } } : {}),
+      order,
+    });
+  });
+
+  missing.sort((a, b) => (b.impact - a.impact) || (a.order - b.order));
+
+  return {
+    score,
+    level: LEVELS.find(({ min }) => score >= min).level,
+    completed,
+    missing: missing.map(({ order, ...item }) => item),
+  };
+};
+
+module.exports = { getProfileCompleteness };
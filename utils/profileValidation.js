@@ -0,0 +1,332 @@
+// Request validation for profile edits. Each section is described by a field
+// spec; validators return sanitized values plus field-level errors of the form
+// { field: 'experience.endDate', message: '...' }.
+
+const LANGUAGE_PROFICIENCIES = [
+  'elementary',
+  'limited_working',
+  'professional_working',
+  'full_professional',
+  'native',
+];
+
+const MAX_SECTION_ITEMS = 50;
+const MAX_SKILLS = 50;
+const MAX_SKILL_LENGTH = 50;
+
+const PROFILE_FIELDS = {
+  name: { type: 'string', required: true, max: 100 },
+  headline: { type: 'string', max: 220 },
+  location: { type: 'string', max: 100 },
+  bio: { type: 'string', max: 500 },
+};
+
+// Fields of each list section, and the fields that identify a duplicate entry
+const SECTIONS = {
+  experience: {
+    fields: {
+      title: { type: 'string', required: true, max: 100 },
+      company: { type: 'string', required: true, max: 100 },
+      location: { type: 'string', max: 100 },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      current: { type: 'boolean' },
+      description: { type: 'string', max: 2000 },
+    },
+    identity: ['title', 'company', 'startDate'],
+  },
+  education: {
+    fields: {
+      school: { type: 'string', required: true, max: 150 },
+      degree: { type: 'string', required: true, max: 100 },
+      field: { type: 'string', max: 100 },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      description: { type: 'string', max: 2000 },
+    },
+    identity: ['school', 'degree', 'startDate'],
+  },
+  certifications: {
+    fields: {
+      name: { type: 'string', required: true, max: 150 },
+      issuer: { type: 'string', required: true, max: 150 },
+      issueDate: { type: 'date' },
+      expirationDate: { type: 'date' },
+      credentialId: { type: 'string', max: 100 },
+      credentialUrl: { type: 'url' },
+    },
+    identity: ['name', 'issuer'],
+    range: ['issueDate', 'expirationDate'],
+  },
+  projects: {
+    fields: {
+      name: { type: 'string', required: true, max: 150 },
+      description: { type: 'string', max: 2000 },
+      url: { type: 'url' },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      current: { type: 'boolean' },
+    },
+    identity: ['name'],
+  },
+  languages: {
+    fields: {
+      name: { type: 'string', required: true, max: 50 },
+      proficiency: { type: 'enum', values: LANGUAGE_PROFICIENCIES },
+    },
+    identity: ['name'],
+  },
+  volunteer: {
+    fields: {
+      organization: { type: 'string', required: true, max: 150 },
+      role: { type: 'string', required: true, max: 100 },
+      cause: { type: 'string', max: 100 },
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      current: { type: 'boolean' },
+      description: { type: 'string', max: 2000 },
+    },
+    identity: ['organization', 'role', 'startDate'],
+  },
+};
+
+const SECTION_NAMES = Object.keys(SECTIONS);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// YYYY-MM or YYYY-MM-DD. A full UTC timestamp is also accepted, since that is
+// how stored dates come back from the API and clients send entries back whole.
+const DATE_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2})(?:T\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?Z)?)?$/;
+
+// Parse a date string, or pass through a valid Date. Returns null for anything
+// else, including numbers and impossible days such as 2020-02-31.
+const parseDateValue = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  const text = typeof value === 'string' ? value.trim() : '';
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day = '01'] = match;
+  const date = text.includes('T') ? new Date(text) : new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  // Date rolls invalid days over into the next month; reject them instead
+  const roundTrips = date.getUTCFullYear() === Number(year)
+    && date.getUTCMonth() === Number(month) - 1
+    && date.getUTCDate() === Number(day);
+  return roundTrips ? date : null;
+};
+
+// Check and normalize a single value. Returns { value } or { error }.
+const checkValue = (value, rule) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const trimmed = value.trim();
+      if (rule.max && trimmed.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+      return { value: trimmed };
+    }
+    case 'date': {
+      const date = parseDateValue(value);
+      return date ? { value: date } : { error: 'must be a valid date (YYYY-MM or YYYY-MM-DD)' };
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'url': {
+      try {
+        const url = new URL(String(value).trim());
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol');
+        return { value: url.toString() };
+      } catch (error) {
+        return { error: 'must be a valid http(s) URL' };
+      }
+    }
+    case 'enum':
+      return rule.values.includes(value)
+        ? { value }
+        : { error: `must be one of: ${rule.values.join(', ')}` };
+    default:
+      return { value };
+  }
+};
+
+// Validate the fields present in input against a spec. With partial, required
+// fields may be omitted (they are checked on the merged entry instead).
+const validateFields = (input, spec, { prefix = '', partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: prefix || 'body', message: 'must be an object' }] };
+  }
+
+  Object.entries(spec).forEach(([name, rule]) => {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const raw = input[name];
+
+    if (raw === undefined) {
+      if (rule.required && !partial) errors.push({ field, message: 'is required' });
+      return;
+    }
+
+    if (isBlank(raw) || (typeof raw === 'string' && !raw.trim())) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      } else {
+        // Clearing an optional field
+        value[name] = ['string', 'url'].includes(rule.type) ? '' : null;
+      }
+      return;
+    }
+
+    const result = checkValue(raw, rule);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  return { value, errors };
+};
+
+// Rules that involve more than one field of an entry
+const checkEntryRules = (section, entry, prefix) => {
+  const errors = [];
+  const [startField, endField] = SECTIONS[section].range || ['startDate', 'endDate'];
+  const start = entry[startField];
+  const end = entry[endField];
+
+  if (start && end && new Date(end) < new Date(start)) {
+    errors.push({ field: `${prefix}.${endField}`, message: `must not be before ${startField}` });
+  }
+  if (entry.current && end) {
+    errors.push({ field: `${prefix}.${endField}`, message: 'must be empty for a current entry' });
+  }
+  if (entry.current && start && new Date(start) > new Date()) {
+    errors.push({ field: `${prefix}.${startField}`, message: 'cannot be in the future for a current entry' });
+  }
+
+  return errors;
+};
+
+const identityKey = (section, entry) => SECTIONS[section].identity
+  .map(name => {
+    const value = entry[name];
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value || '').trim().toLowerCase();
+  })
+  .join('|');
+
+// True when two entries of a section describe the same thing
+const isSameEntry = (section, a, b) => identityKey(section, a) === identityKey(section, b);
+
+// Validate one entry of a list section. existing is the stored entry when
+// updating; the update is merged onto it before the cross-field rules run.
+// siblings are the section's other entries, used to reject duplicates.
+const validateSectionEntry = (section, input, { existing, siblings = [], prefix = section } = {}) => {
+  const { fields } = SECTIONS[section];
+  const { value, errors } = validateFields(input, fields, { prefix, partial: Boolean(existing) });
+  if (errors.length > 0) {
+    return { value, errors };
+  }
+
+  const merged = existing ? { ...existing, ...value } : value;
+  errors.push(...checkEntryRules(section, merged, prefix));
+
+  const key = identityKey(section, merged);
+  if (siblings.some(sibling => identityKey(section, sibling) === key)) {
+    errors.push({ field: prefix, message: 'duplicates an existing entry' });
+  }
+
+  return { value: merged, errors };
+};
+
+// Validate a whole list section sent as an array
+const validateSection = (section, items) => {
+  if (!Array.isArray(items)) {
+    return { value: [], errors: [{ field: section, message: 'must be an array' }] };
+  }
+  if (items.length > MAX_SECTION_ITEMS) {
+    return { value: [], errors: [{ field: section, message: `cannot have more than ${MAX_SECTION_ITEMS} entries` }] };
+  }
+
+  const value = [];
+  const errors = [];
+  items.forEach((item, index) => {
+    const result = validateSectionEntry(section, item, { siblings: value, prefix: `${section}[${index}]` });
+    errors.push(...result.errors);
+    // Entries sent with the _id of an existing entry keep it
+    value.push(item?._id ? { ...result.value, _id: item._id } : result.value);
+  });
+
+  return { value, errors };
+};
+
+const validateSkills = (skills) => {
+  if (!Array.isArray(skills)) {
+    return { value: [], errors: [{ field: 'skills', message: 'must be an array' }] };
+  }
+  if (skills.length > MAX_SKILLS) {
+    return { value: [], errors: [{ field: 'skills', message: `cannot have more than ${MAX_SKILLS} skills` }] };
+  }
+
+  const value = [];
+  const errors = [];
+  const seen = new Set();
+  skills.forEach((skill, index) => {
+    const field = `skills[${index}]`;
+    if (typeof skill !== 'string' || !skill.trim()) {
+      errors.push({ field, message: 'must be a non-empty string' });
+      return;
+    }
+    const trimmed = skill.trim();
+    if (trimmed.length > MAX_SKILL_LENGTH) {
+      errors.push({ field, message: `must be at most ${MAX_SKILL_LENGTH} characters` });
+      return;
+    }
+    const key = trimmed.toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ field, message: `duplicates skill "${trimmed}"` });
+      return;
+    }
+    seen.add(key);
+    value.push(trimmed);
+  });
+
+  return { value, errors };
+};
+
+// Validate a PUT /api/users/:id body. Only fields present are validated and
+// returned, so a partial update leaves everything else untouched.
+const validateProfileUpdate = (body) => {
+  const { value, errors } = validateFields(body, PROFILE_FIELDS, { partial: true });
+
+  if (body && body.skills !== undefined) {
+    const result = validateSkills(body.skills);
+    value.skills = result.value;
+    errors.push(...result.errors);
+  }
+
+  SECTION_NAMES.forEach(section => {
+    if (body && body[section] !== undefined) {
+      const result = validateSection(section, body[section]);
+      value[section] = result.value;
+      errors.push(...result.errors);
+    }
+  });
+
+  return { value, errors };
+};
+
+module.exports = {
+  LANGUAGE_PROFICIENCIES,
+  MAX_SECTION_ITEMS,
+  SECTIONS,
+  SECTION_NAMES,
+  isSameEntry,
+  checkEntryRules,
+  validateSectionEntry,
+  validateProfileUpdate,
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const ProfileView = require('../models/ProfileView');
+const User = require('../models/User');
+const { getBlockedIds } = require('./blocking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const DEFAULT_VIEWER_LIMIT = 20;
+const MAX_VIEWER_LIMIT = 100;
+
+const getRetentionDays = () => parseInt(process.env.PROFILE_VIEW_RETENTION_DAYS, 10) || 90;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Monday (UTC) of the week containing the date
+const startOfWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+// Record that viewer looked at a profile. Views are deduped per viewer per
+// day, and self-views are ignored. A viewer browsing anonymously stays
+// anonymous for the whole day even if they switch the setting back.
+const recordProfileView = async (profileId, viewer) => {
+  if (!viewer || profileId.toString() === viewer._id.toString()) {
+    return;
+  }
+
+  const now = new Date();
+  await ProfileView.updateOne(
+    { profile: profileId, viewer: viewer._id, day: toDay(now) },
+    {
+      $inc: { viewCount: 1 },
+      $max: { anonymous: Boolean(viewer.browseAnonymously) },
+      $set: { lastViewedAt: now, expiresAt: new Date(now.getTime() + getRetentionDays() * DAY_MS) },
+    },
+    { upsert: true }
+  );
+};
+
+// Who viewed a user's profile and how views trend week by week.
+// Anonymous viewers are only counted, never identified.
+const getProfileViewStats = async (userId, { weeks, limit } = {}) => {
+  const maxWeeks = Math.ceil(getRetentionDays() / 7);
+  const weekCount = Math.min(Math.max(parseInt(weeks, 10) || DEFAULT_WEEKS, 1), maxWeeks);
+  const viewerLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_VIEWER_LIMIT, 1), MAX_VIEWER_LIMIT);
+
+  const firstWeek = startOfWeek(new Date());
+  firstWeek.setUTCDate(firstWeek.getUTCDate() - (weekCount - 1) * 7);
+
+  const blockedIds = await getBlockedIds(userId);
+  const match = {
+    profile: new mongoose.Types.ObjectId(userId),
+    day: { $gte: toDay(firstWeek) },
+    viewer: { $nin: blockedIds },
+  };
+
+  const [days, viewers] = await Promise.all([
+    ProfileView.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$day',
+          views: { $sum: '$viewCount' },
+          viewers: { $addToSet: '$viewer' },
+          anonymousViewers: { $addToSet: { $cond: ['$anonymous', '$viewer', null] } },
+        },
+      },
+    ]),
+    ProfileView.aggregate([
+      { $match: { ...match, anonymous: false } },
+      {
+        $group: {
+          _id: '$viewer',
+          viewCount: { $sum: '$viewCount' },
+          lastViewedAt: { $max: '$lastViewedAt' },
+        },
+      },
+      { $sort: { lastViewedAt: -1, _id: 1 } },
+      { $limit: viewerLimit },
+    ]),
+  ]);
+
+  // Bucket the per-day totals into weeks, oldest first
+  const trend = Array.from({ length: weekCount }, (_, index) => {
+    const weekStart = new Date(firstWeek.getTime() + index * 7 * DAY_MS);
+    return { weekStart: toDay(weekStart), views: 0, viewers: new Set() };
+  });
+  const allViewers = new Set();
+  const anonymousViewers = new Set();
+  let totalViews = 0;
+
+  days.forEach(({ _id: day, views, viewers: dayViewers, anonymousViewers: dayAnonymous }) => {
+    const index = Math.floor((Date.parse(day) - firstWeek.getTime()) / (7 * DAY_MS));
+    const week = trend[index];
+    if (!week) return;
+    week.views += views;
+    totalViews += views;
+    dayViewers.forEach(id => {
+      week.viewers.add(id.toString());
+      allViewers.add(id.toString());
+    });
+    dayAnonymous.filter(Boolean).forEach(id => anonymousViewers.add(id.toString()));
+  });
+
+  const profiles = await User.find({ _id: { $in: viewers.map(viewer => viewer._id) } })
+    .select('name profilePicture')
+    .lean();
+  const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+  return {
+    since: toDay(firstWeek),
+    totalViews,
+    uniqueViewers: allViewers.size,
+    anonymousViewers: anonymousViewers.size,
+    viewers: viewers
+      .filter(viewer => profileById.has(viewer._id.toString()))
+      .map(viewer => ({
+        user: profileById.get(viewer._id.toString()),
+        viewCount: viewer.viewCount,
+        lastViewedAt: viewer.lastViewedAt,
+      })),
+    weeklyTrend: trend.map(({ weekStart, views, viewers: weekViewers }) => ({
+      weekStart,
+      views,
+      uniqueViewers: weekViewers.size,
+    })),
+  };
+};
+
+module.exports = { recordProfileView, getProfileViewStats };
@@ -0,0 +1,44 @@
+const Recommendation = require('../models/Recommendation');
+const { getRelationship, canViewField } = require('./privacy');
+const { getBlockedIds } = require('./blocking');
+
+// Approved recommendations as shown on a user's profile. They follow the
+// visibility of the experience section, skip authors blocked by either side
+// and drop recommendations whose experience entry has since been removed.
+const getVisibleRecommendations = async (user, viewer) => {
+  const relationship = getRelationship(user, viewer);
+  if (!canViewField(user, 'experience', relationship)) {
+    return [];
+  }
+
+  const blockedIds = viewer ? await getBlockedIds(viewer._id) : [];
+  const recommendations = await Recommendation.find({
+    recipient: user._id,
+    status: 'approved',
+    author: { $nin: blockedIds },
+  })
+    .select('author experience relationship text approvedAt')
+    .populate('author', 'name profilePicture')
+    .sort({ approvedAt: -1 })
+    .lean();
+
+  const experienceById = new Map(
+    (user.experience || []).map(entry => [entry._id.toString(), entry])
+  );
+
+  return recommendations
+    .filter(recommendation => recommendation.author && experienceById.has(recommendation.experience.toString()))
+    .map(recommendation => {
+      const experience = experienceById.get(recommendation.experience.toString());
+      return {
+        _id: recommendation._id,
+        author: recommendation.author,
+        relationship: recommendation.relationship,
+        text: recommendation.text,
+        approvedAt: recommendation.approvedAt,
+        experience: { _id: experience._id, title: experience.title, company: experience.company },
+      };
+    });
+};
+
+module.exports = { getVisibleRecommendations };
@@ -0,0 +1,201 @@
+const PDFDocument = require('pdfkit');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Visual settings per template. Only the built-in PDF fonts are used, so no
+// font files need to ship with the app.
+const TEMPLATES = {
+  classic: {
+    font: 'Times-Roman',
+    boldFont: 'Times-Bold',
+    italicFont: 'Times-Italic',
+    accent: '#000000',
+    text: '#222222',
+    muted: '#555555',
+    align: 'center',
+    headingCase: 'upper',
+    rule: true,
+  },
+  modern: {
+    font: 'Helvetica',
+    boldFont: 'Helvetica-Bold',
+    italicFont: 'Helvetica-Oblique',
+    accent: '#0a66c2',
+    text: '#1f2328',
+    muted: '#5b6570',
+    align: 'left',
+    headingCase: 'title',
+    rule: false,
+  },
+};
+
+const PROFICIENCY_LABELS = {
+  elementary: 'Elementary',
+  limited_working: 'Limited working',
+  professional_working: 'Professional working',
+  full_professional: 'Full professional',
+  native: 'Native',
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const formatMonth = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return `${MONTHS[value.getUTCMonth()]} ${value.getUTCFullYear()}`;
+};
+
+const formatRange = (start, end, current) => {
+  const from = formatMonth(start);
+  const to = current ? 'Present' : formatMonth(end);
+  if (from && to) return `${from} – ${to}`;
+  return from || to;
+};
+
+const drawHeader = (doc, profile, style) => {
+  const current = (profile.experience || []).find(exp => exp.current);
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  if (style.align === 'left') {
+    doc.rect(0, 0, doc.page.width, 8).fill(style.accent);
+  }
+
+  doc.font(style.boldFont).fontSize(24).fillColor(style.accent)
+    .text(profile.name, { align: style.align, width });
+
+  const subtitle = profile.headline || (current ? `${current.title} at ${current.company}` : '');
+  const contact = [profile.location || current?.location, profile.email].filter(Boolean).join('  |  ');
+
+  if (subtitle) {
+    doc.font(style.font).fontSize(12).fillColor(style.text).text(subtitle, { align: style.align, width });
+  }
+  if (contact) {
+    doc.font(style.font).fontSize(10).fillColor(style.muted).text(contact, { align: style.align, width });
+  }
+  doc.moveDown(0.5);
+};
+
+const drawSectionTitle = (doc, title, style) => {
+  const label = style.headingCase === 'upper' ? title.toUpperCase() : title;
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  doc.moveDown(0.6);
+  doc.font(style.boldFont).fontSize(13).fillColor(style.accent).text(label, left);
+  if (style.rule) {
+    doc.moveTo(left, doc.y + 1).lineTo(right, doc.y + 1).lineWidth(0.75).stroke(style.accent);
+  }
+  doc.moveDown(0.3);
+};
+
+// Title on the left, dates right-aligned on the same line, then detail lines
+const drawEntry = (doc, { title, subtitle, dates, description }, style) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const top = doc.y;
+
+  doc.font(style.boldFont).fontSize(11).fillColor(style.text).text(title, left, top, { width: width * 0.7 });
+  const afterTitle = doc.y;
+  if (dates) {
+    doc.font(style.font).fontSize(10).fillColor(style.muted)
+      .text(dates, left, top, { width, align: 'right' });
+  }
+  doc.y = Math.max(afterTitle, doc.y);
+
+  if (subtitle) {
+    doc.font(style.italicFont).fontSize(10).fillColor(style.muted).text(subtitle, left, doc.y, { width });
+  }
+  if (description) {
+    doc.font(style.font).fontSize(10).fillColor(style.text).text(description, left, doc.y, { width });
+  }
+  doc.moveDown(0.5);
+};
+
+// Render a serialized profile (already filtered for the viewer) into a PDF.
+// Returns the ended PDFKit document, ready to be piped to a response.
+const createResumePdf = (profile, templateName = DEFAULT_TEMPLATE) => {
+  const style = TEMPLATES[templateName] || TEMPLATES[DEFAULT_TEMPLATE];
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: 54,
+    info: { Title: `${profile.name} - Resume`, Author: profile.name, Creator: 'Careerly' },
+  });
+
+  drawHeader(doc, profile, style);
+
+  if (profile.bio) {
+    drawSectionTitle(doc, 'Summary', style);
+    doc.font(style.font).fontSize(10).fillColor(style.text).text(profile.bio);
+  }
+
+  if (profile.experience?.length) {
+    drawSectionTitle(doc, 'Experience', style);
+    profile.experience.forEach(exp => drawEntry(doc, {
+      title: exp.title,
+      subtitle: [exp.company, exp.location].filter(Boolean).join(', '),
+      dates: formatRange(exp.startDate, exp.endDate, exp.current),
+      description: exp.description,
+    }, style));
+  }
+
+  if (profile.education?.length) {
+    drawSectionTitle(doc, 'Education', style);
+    profile.education.forEach(edu => drawEntry(doc, {
+      title: edu.school,
+      subtitle: [edu.degree, edu.field].filter(Boolean).join(', '),
+      dates: formatRange(edu.startDate, edu.endDate, false),
+      description: edu.description,
+    }, style));
+  }
+
+  if (profile.certifications?.length) {
+    drawSectionTitle(doc, 'Certifications', style);
+    profile.certifications.forEach(cert => drawEntry(doc, {
+      title: cert.name,
+      subtitle: [cert.issuer, cert.credentialId && `Credential ID ${cert.credentialId}`].filter(Boolean).join(', '),
+      dates: [
+        cert.issueDate && `Issued ${formatMonth(cert.issueDate)}`,
+        cert.expirationDate && `Expires ${formatMonth(cert.expirationDate)}`,
+      ].filter(Boolean).join(', '),
+    }, style));
+  }
+
+  if (profile.projects?.length) {
+    drawSectionTitle(doc, 'Projects', style);
+    profile.projects.forEach(project => drawEntry(doc, {
+      title: project.name,
+      subtitle: project.url,
+      dates: formatRange(project.startDate, project.endDate, project.current),
+      description: project.description,
+    }, style));
+  }
+
+  if (profile.volunteer?.length) {
+    drawSectionTitle(doc, 'Volunteer Experience', style);
+    profile.volunteer.forEach(item => drawEntry(doc, {
+      title: item.role,
+      subtitle: [item.organization, item.cause].filter(Boolean).join(', '),
+      dates: formatRange(item.startDate, item.endDate, item.current),
+      description: item.description,
+    }, style));
+  }
+
+  if (profile.skills?.length) {
+    drawSectionTitle(doc, 'Skills', style);
+    doc.font(style.font).fontSize(10).fillColor(style.text).text(profile.skills.join('  •  '));
+  }
+
+  if (profile.languages?.length) {
+    drawSectionTitle(doc, 'Languages', style);
+    const languages = profile.languages.map(language => (
+      language.proficiency ? `${language.name} (${PROFICIENCY_LABELS[language.proficiency]})` : language.name
+    ));
+    doc.font(style.font).fontSize(10).fillColor(style.text).text(languages.join('  •  '));
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = { TEMPLATE_NAMES, DEFAULT_TEMPLATE, createResumePdf };
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Short-lived access token bound to a server-side session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, getJwtSecret(), {
+    expiresIn: getAccessTokenTtl(),
+  });
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.get && req.get('user-agent')) || '',
+  ip: req.ip || '',
+});
+
+// Start a new session for a user and issue its first token pair
+const createSession = async (userId, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return {
+    session,
+    token: signAccessToken(userId, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented refresh token
+// is invalidated; presenting it again revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+
+  if (session.previousTokenHash && presentedHash === session.previousTokenHash) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    return null;
+  }
+
+  const newSecret = generateSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      tokenHash: hashToken(newSecret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      ...getClientInfo(req),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    session: rotated,
+    token: signAccessToken(rotated.user, rotated._id),
+    refreshToken: `${rotated._id}.${newSecret}`,
+  };
+};
+
+// Resolve an access token to its user and active session, or null.
+// Throws if the JWT itself is invalid or expired.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  return { user, session };
+};
+
+const revokeSession = (sessionId, reason = 'logout') => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one alive
+const revokeAllSessions = (userId, { except, reason = 'logout_all' } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported = null;
+
+// Transactions need a replica set or a sharded cluster (MongoDB Atlas, or a
+// local single-node replica set). The answer is cached after the first check.
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+// Run fn(session) inside a MongoDB transaction and return its result.
+// Transient errors are retried by the driver; any other error aborts.
+// On a standalone server, where transactions are unavailable, fn runs once
+// without a session, so its writes are applied in order but not atomically.
+// Callers write the guarded update first so a partial run is safe to repeat.
+const withTransaction = async (fn) => {
+  if (!(await supportsTransactions())) {
+    return fn(undefined);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
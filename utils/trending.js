@@ -0,0 +1,37 @@
+const Post = require('../models/Post');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_WINDOW_HOURS = 7 * 24;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const getDefaultWindowHours = () => parseInt(process.env.TRENDING_WINDOW_HOURS, 10) || 24;
+
+// Top hashtags over the last `hours`, ranked by how many distinct members
+// used them, then by post count. Counting authors rather than posts keeps one
+// prolific poster from making a tag trend on their own.
+const getTrendingHashtags = async ({ hours, limit } = {}, hiddenIds = []) => {
+  const windowHours = Math.min(Math.max(parseInt(hours, 10) || getDefaultWindowHours(), 1), MAX_WINDOW_HOURS);
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const since = new Date(Date.now() - windowHours * HOUR_MS);
+
+  const tags = await Post.aggregate([
+    { $match: { createdAt: { $gte: since }, 'hashtags.0': { $exists: true }, user: { $nin: hiddenIds } } },
+    { $unwind: '$hashtags' },
+    {
+      $group: {
+        _id: '$hashtags',
+        posts: { $sum: 1 },
+        authors: { $addToSet: '$user' },
+        lastPostAt: { $max: '$createdAt' },
+      },
+    },
+    { $project: { _id: 0, tag: '$_id', posts: 1, authors: { $size: '$authors' }, lastPostAt: 1 } },
+    { $sort: { authors: -1, posts: -1, lastPostAt: -1, tag: 1 } },
+    { $limit: size },
+  ]);
+
+  return { since, hours: windowHours, tags };
+};
+
+module.exports = { getTrendingHashtags };
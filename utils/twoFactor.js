@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator: baseAuthenticator } = require('otplib');
+
+const ISSUER = 'Careerly';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Accept codes from the previous and next 30s step to allow for clock drift
+const authenticator = baseAuthenticator.clone({ window: 1 });
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const generateSecret = () => authenticator.generateSecret(20);
+
+// otpauth:// URI and a QR code (PNG data URL) for authenticator apps
+const buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Verify a TOTP code. Returns the time step it matched, or null. Callers
+// should reject steps at or before the last accepted one to stop replays.
+const verifyTotp = (secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / authenticator.allOptions().step);
+  return currentStep + delta;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+// Generate plain recovery codes (shown to the user once) and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })),
+  };
+};
+
+// Short-lived token proving the password step of a two-step login succeeded
+const signChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa_challenge' }, getJwtSecret(), {
+    expiresIn: CHALLENGE_TTL,
+  });
+};
+
+// Returns the user id from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getJwtSecret());
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  signChallengeToken,
+  verifyChallengeToken,
+};